@@ -1,37 +1,144 @@
 // Bauhaus Clickfield — Radial Ripple Lab (7-limit JI)
-// - Grid of clickable modules (circle / bar / block / diagonal).
-// - Continuous radial ripple emanating from an origin tile (default: center).
-// - Long-press on a tile sets origin.
-// - Web Audio-based tone "grains" per tile as the wave passes.
+// - Grid of clickable modules (circle / bar / block / diagonal), resizable
+//   from 4×4 up to 32×16 (arrow keys or ?cols=&rows=). More glyph families
+//   (triangles, Truchet arcs, dot grids, letterforms) via Alt+click; each
+//   family is one entry in GLYPH_FAMILIES.
+// - Continuous ripples from one or more emitters (default: one, center), with
+//   switchable wave geometry (circle, diamond, square, scans, spiral, shuffle).
+// - Long-press on a tile moves the selected emitter (the first is the origin).
+// - Web Audio-based tone "grains" per tile as the wave passes, booked ahead on
+//   the audio clock by a look-ahead scheduler (visuals follow the audio).
 // - Glyph type and color are independent properties.
-// - Tuning: 7-limit just intonation
-// - Polyphony: capped to number of tiles on screen.
+// - Connections: glyph states declare which tile edges they join; drawn as
+//   continuous lines / pipes / arcs across tiles, and the ripple can travel
+//   along the network instead of by distance.
+// - Evolution: optional cellular automaton over the tiles on every ripple
+//   cycle or beat — Game of Life (empty = dead), majority-vote glyph spread,
+//   or a user rule table; seeded, undoable, and freezable into a scene.
+// - Export: vector SVG (glyphs as compound paths, cutouts included) and
+//   print-ready PNG at a chosen paper size and DPI.
+// - Palettes: four built in, plus custom ones from the palette editor or
+//   derived from an image dropped on the canvas; kept in localStorage and
+//   shared as JSON or via the URL, with a warning when a color sits too close
+//   to the background.
+// - Per-tile overrides (ratio, octave, voice, mute, trigger chance) in an
+//   inspector panel; saved with scenes, snapshots and the URL.
+// - Tuning: selectable — 5 / 7 / 11-limit JI, Partch's 11-limit tonality
+//   diamond, 12 / 19 / 31-EDO, or a Scala .scl (+ .kbm) dropped on the page;
+//   each row steps one scale degree up from the root. Or a Tonnetz-style
+//   lattice: columns step by 3/2, rows by 5/4 or 7/4, octave-reduced.
+// - Optional Web MIDI out: every trigger as a note (MPE per-note pitch bend
+//   keeps the JI ratios exact) plus MIDI clock from bpm.
+// - Optional Web MIDI in: follow external clock + start/stop, notes move the
+//   origin and fire a ripple, CCs drive bpm / scale / light / palette.
+// - Samples: drop WAV / OGG / MP3 on a tile to replace the sound of its glyph
+//   family (or, with Shift, just that tile's); pitch from the tile's ratio,
+//   start / length / direction from its state. Kept in IndexedDB across reloads.
+// - Polyphony: a voice pool capped to the number of tiles on screen (and a
+//   few voices per tile); when full it steals by policy, tracked via onended.
+// - Master chain: per-voice sends into a generated-IR reverb and a
+//   tempo-synced delay, all through a limiter (mix is saved in scenes).
 //
 // Controls:
 //   Click          : advance tile state
 //   Shift+click    : step state backwards
-//   Alt+click      : change glyph type
-//   Long-press     : set ripple origin tile
+//   Alt+click      : change glyph family (random among all families)
+//   Ctrl/Cmd+click : tile inspector (pitch / voice overrides, mute, chance)
+//   Long-press     : move selected emitter (emitter 1 = origin) to tile
+//   Shift+long-press : add an emitter on tile
+//   Alt+long-press : remove the emitter on tile
 //
 //   Space          : play/pause ripple
-//   , / .          : bpm down / up
+//   T              : tap tempo (average of recent taps)
+//   , / .          : bpm down / up by 1
+//   F              : cycle ripple rate (1/4×, 1/2×, dotted, 1×, triplet, 2×)
+//   < / >          : fewer / more beats per ripple cycle
+//
+//   Tab            : select next emitter
+//   D              : flip selected emitter outward / inward
+//   - / =          : selected emitter slower / faster
+//   _ / +          : selected emitter narrower / wider wavefront
+//   /              : cycle selected emitter trigger threshold
+//   V              : cycle wave geometry
+//   :              : evolution: off → life → majority → rule table
+//   ;              : evolve every ripple cycle / every beat
+//   ?              : edit the rule table, e.g. "empty 3 > majority;
+//                    any 0-1 > empty; bar 2-3 > next" (first match wins)
+//   "              : freeze: stop evolving, store the generation in a scene
+//   Backspace      : undo the last generation
+//   [              : connections: off → lines → pipes → arcs (faded = an
+//                    end no neighbour picks up)
+//   ]              : ripple along connections / by distance (an emitter on
+//                    a tile without links spreads by distance; edits reroute
+//                    at the next cycle)
 //
 //   Q/W/E/R        : recall scenes 0–3
-//   Shift+Q/W/E/R  : store scenes 0–3
+//   Shift+Q/W/E/R  : store scenes 0–3 (kept in localStorage per grid size)
+//   Y              : toggle scene morphing (QWER crossfade instead of snap;
+//                    presses during a morph are queued)
+//   U              : cycle morph order (random / rows / ripple)
+//   { / }          : shorter / longer morph (beats)
+//   Esc            : cancel morph + clear queue
+//   C              : edit scene chain, e.g. "Q×4, W×2, E×8, R×4 loop"
+//                    (counts are ripple cycles; "once" stops at the end)
+//   P              : play / stop the scene chain
+//   B              : export scene bank (.json); open/drop one to import
+//   M              : MIDI out: off → each output port in turn → off
+//                    (?midi=mock adds a port that just records messages)
+//   !              : MIDI note routing: MPE (channel per note) / channel per
+//                    glyph type (one pitch bend per channel)
+//   J              : MIDI in: off → notes + CCs → + follow clock → off
+//                    (note 36 = top-left tile, row by row; default CCs
+//                    20 bpm, 21 scale, 22 light, 23 palette)
+//   I              : MIDI learn: step the target (bpm → scale → light →
+//                    palette → off); the next CC moved binds to it (saved)
 //   1–4            : palettes
+//   0              : next palette (including custom / imported ones)
+//   (              : palette editor (edits of a built-in become a custom
+//                    copy; JSON export, copy link, palette from an image)
 //   N              : new seed / reroll
-//   S              : save PNG + JSON snapshot
+//   S              : save PNG + JSON snapshot (downloads both)
+//   &              : export SVG (vector, canvas proportions)
+//   *              : export print PNG: paper (A4 / A3 / Letter), DPI and
+//                    optional orientation, e.g. "A3 300 landscape"
+//   %              : render N ripple cycles to a 16/24-bit WAV (offline,
+//                    faster than real time, same trigger order every time)
+//   ^              : record canvas + audio to WebM / stop; with a cycle
+//                    count it starts on the next cycle and stops itself so
+//                    the clip loops (chrome is in the picture: H hides it)
+//   O              : open a JSON snapshot (or drop one on the canvas);
+//                    .scl / .kbm files set the tuning / keyboard mapping,
+//                    palette .json files add a palette, images become one
+//
+// The address bar hash always carries the full composition (debounced), so
+// copying the URL shares the piece exactly; ?seed= still works on its own.
 //
 //   Z / X          : global scale up/down
 //   L / K          : global light/dark overlay
 //   G              : toggle grid overlay
+//   ← / →          : fewer / more columns
+//   ↑ / ↓          : fewer / more rows
 //   H              : toggle chrome
+//   `              : cycle tuning (presets, then an imported .scl)
+//   ~              : set root frequency (Hz)
+//   |              : toggle per-tile ratio labels
+//   \              : pitch mapping: rows (scale degrees) → lattice 3/2 × 5/4
+//                    → lattice 3/2 × 7/4
+//   '              : lattice octave range (1–4 octaves above the root)
 //   A              : test beep (audio sanity check)
+//   #              : FX panel (reverb / delay sends per voice, limiter)
+//   @              : voice steal policy (oldest / quietest / same tile)
+//   $              : clear the sample on the glyph family of the tile under
+//                    the mouse (and that tile's own sample)
 
 // -------------------- config --------------------
 
-const GRID_COLS = 8;
-const GRID_ROWS = 6;
+const DEFAULT_GRID_COLS = 8;
+const DEFAULT_GRID_ROWS = 6;
+const MIN_GRID_COLS = 4;
+const MAX_GRID_COLS = 32;
+const MIN_GRID_ROWS = 4;
+const MAX_GRID_ROWS = 16;
 
 const paletteDefs = [
   {
@@ -63,29 +170,244 @@ const paletteDefs = [
     accent: '#ff375f'
   }
 ];
-
-const MODULE_TYPES = ['circle', 'bar', 'block', 'diagonal'];
+const BUILTIN_PALETTE_COUNT = paletteDefs.length;
+
+// Palette slots: the background, then the fills a tile's colorIndex picks
+// from. Adding a fill here makes it editable, stored and shared everywhere.
+const PALETTE_FILL_SLOTS = ['primary', 'secondary', 'accent'];
+const PALETTE_SLOTS = ['bg', ...PALETTE_FILL_SLOTS];
+const PALETTE_FORMAT = 'clickfield-palette';
+const PALETTE_VERSION = 1;
+const PALETTE_STORAGE_KEY = 'clickfield.palettes';
+const PALETTE_MIN_CONTRAST = 60; // luminance difference (0–255) fill vs bg
+const PALETTE_IMAGE_SIZE = 64; // images are sampled at this size
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|webp|bmp)$/i;
+
+// Evolution (cellular automaton); 'off' first
+const EVOLUTION_RULES = ['off', 'life', 'majority', 'table'];
+const EVOLUTION_TIMINGS = ['cycle', 'beat'];
+const EVOLUTION_MAJORITY_MIN = 4; // of 8 neighbours
+const EVOLUTION_UNDO_DEPTH = 64;
+const EVOLUTION_TABLE_STORAGE_KEY = 'clickfield.evolutionTable';
+const DEFAULT_EVOLUTION_TABLE = 'empty 3 > majority; any 0-1 > empty; any 4-8 > empty';
+
+// Connectivity: how glyph links are drawn across tiles ('off' = glyphs)
+const CONNECT_STYLES = ['off', 'lines', 'pipes', 'arcs'];
+const LINK_EDGE_STEPS = { N: [0, -1], E: [1, 0], S: [0, 1], W: [-1, 0] };
+const OPPOSITE_EDGE = { N: 'S', E: 'W', S: 'N', W: 'E' };
+
+// Synth voices (see SYNTH_VOICES); glyph families pick one by default.
+// FX sends and MIDI routing are per voice; sample slots are per glyph family.
+const VOICE_TYPES = ['circle', 'bar', 'block', 'diagonal'];
 const MAX_SCENES = 4;
+const SCENE_KEYS = ['Q', 'W', 'E', 'R'];
 const LONG_PRESS_MS = 400;
 
+// Distance fields the ripple travels through:
+//   euclidean  circle        manhattan  diamond      chebyshev  square
+//   scan-x     columns, left to right from the emitter (step sequencer)
+//   scan-y     rows, top to bottom from the emitter
+//   spiral     radius plus angle, so each ring is swept clockwise
+//   shuffle    euclidean distances dealt to tiles in a seeded random order
+const RIPPLE_GEOMETRIES = [
+  'euclidean',
+  'manhattan',
+  'chebyshev',
+  'scan-x',
+  'scan-y',
+  'spiral',
+  'shuffle'
+];
+
+// Tempo-synced rate divisions applied on top of bpm (rippleSpeed)
+const RIPPLE_RATES = [
+  { label: '1/4×', factor: 0.25 },
+  { label: '1/2×', factor: 0.5 },
+  { label: 'dotted', factor: 2 / 3 }, // each cycle 1.5× as long
+  { label: '1×', factor: 1 },
+  { label: 'triplet', factor: 3 / 2 }, // three cycles in the time of two
+  { label: '2×', factor: 2 }
+];
+const MIN_CYCLE_BEATS = 1;
+const MAX_CYCLE_BEATS = 16;
+
+const BPM_MIN = 20;
+const BPM_MAX = 240;
+const TAP_TIMEOUT_MS = 2000; // a longer gap starts a new tap sequence
+const TAP_HISTORY = 6;
+
+// Look-ahead scheduler: crossings are booked this far ahead of the audio
+// clock, re-checked every SCHEDULER_INTERVAL_MS. Crossings found later than
+// SCHEDULE_MAX_LATE_S (e.g. a throttled background tab) are skipped.
+const SCHEDULE_AHEAD_S = 0.12;
+const SCHEDULER_INTERVAL_MS = 25;
+const SCHEDULE_MAX_LATE_S = 0.25;
+
+const MAX_EMITTERS = 6;
+const EMITTER_THRESHOLDS = [0.5, 0.6, 0.7, 0.8, 0.9];
+const EMITTER_DEFAULTS = {
+  speed: 1.0,     // multiplier on the shared bpm timing
+  width: 0.9,     // thickness of the wavefront in distance units
+  threshold: 0.7, // amplitude that fires a grain on the way up
+  direction: 1    // 1: outward from the tile, -1: inward towards it
+};
+
+// Per-tile overrides: { ratio, octave, voice, mute, chance }, null = derived
+const TILE_OVERRIDE_DEFAULTS = {
+  ratio: null,
+  octave: 0,
+  voice: null,
+  mute: false,
+  chance: 1,
+  sample: null // id in sampleLibrary
+};
+const MIN_OVERRIDE_OCTAVE = -3;
+const MAX_OVERRIDE_OCTAVE = 3;
+
+const NOTICE_MS = 4000;
+
+const SNAPSHOT_FORMAT = 'clickfield-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+const SCENE_BANK_FORMAT = 'clickfield-scene-bank';
+const SCENE_BANK_VERSION = 1;
+const SCENE_STORAGE_PREFIX = 'clickfield.scenes.';
+
+const MORPH_ORDERS = ['random', 'rows', 'ripple'];
+const MORPH_LENGTHS = [1, 2, 4, 8, 16, 32]; // in beats
+
+// Print export: paper sizes in mm (portrait)
+const PRINT_PAPERS = {
+  A4: [210, 297],
+  A3: [297, 420],
+  Letter: [215.9, 279.4]
+};
+const PRINT_MIN_DPI = 72;
+const PRINT_MAX_DPI = 600;
+const PRINT_MAX_PIXELS = 120e6; // browsers refuse larger canvases
+
+// Video capture
+const VIDEO_FPS = 60;
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+const VIDEO_MAX_CYCLES = 256;
+
+// Voice pool
+const VOICE_STEAL_POLICIES = ['oldest', 'quietest', 'same tile'];
+const MAX_VOICES_PER_TILE = 2; // retriggers beyond this choke the oldest
+const VOICE_CHOKE_S = 0.008;   // fade time constant for stolen voices
+const VOICE_STALE_S = 0.5;     // past its end with no onended: assume gone
+
+// Samples
+const SAMPLE_FILE_PATTERN = /\.(wav|wave|ogg|oga|mp3)$/i;
+const SAMPLE_DB_NAME = 'clickfield';
+const SAMPLE_DB_STORE = 'samples';
+const SAMPLE_SLOTS_STORAGE_KEY = 'clickfield.sampleSlots';
+const SAMPLE_MAX_GRAIN_S = 4;
+
+// Master chain
+const MASTER_LEVEL = 0.3;
+const FX_DELAY_DIVISIONS = [
+  { label: '1/4', beats: 1 },
+  { label: '1/8.', beats: 0.75 },
+  { label: '1/8', beats: 0.5 },
+  { label: '1/8t', beats: 1 / 3 },
+  { label: '1/16', beats: 0.25 }
+];
+const FX_MAX_DELAY_S = 5;
+const FX_REVERB_SIZES = [0.8, 1.6, 2.8, 4.5]; // impulse length, seconds
+const FX_IR_SEED = 20231; // the generated impulse is the same on every load
+const FX_DEFAULTS = {
+  reverbSend: { circle: 0.35, bar: 0.1, block: 0.25, diagonal: 0.2 },
+  delaySend: { circle: 0.15, bar: 0.25, block: 0.05, diagonal: 0.2 },
+  reverbSize: 2,      // into FX_REVERB_SIZES
+  reverbReturn: 0.8,
+  delayDivision: '1/8.',
+  delayFeedback: 0.35,
+  delayReturn: 0.6,
+  limiter: true
+};
+
+// Offline render
+const RENDER_SAMPLE_RATE = 48000;
+const RENDER_TAIL_S = 1.5;      // room for the last grains to ring out
+const RENDER_MAX_CYCLES = 256;
+const RENDER_BIT_DEPTHS = [16, 24];
+
+const URL_STATE_VERSION = 2; // v1 links still load, see the URL state section
+const URL_STATE_DEBOUNCE_MS = 400;
+
+// Web MIDI out
+const MIDI_PITCH_BEND_RANGE = 2;   // semitones, announced on every channel used
+const MIDI_MPE_MEMBER_CHANNELS = 15; // lower zone: master ch 1, members 2–16
+const MIDI_CLOCK_PPQN = 24;
+const MIDI_LOOKAHEAD_MS = 100;     // clock ticks are sent this far ahead
+const MIDI_TIMER_MS = 25;
+// Per glyph type: channel (0-based) when routing by type, octave offset
+// matching the built-in voice, note length in seconds
+const MIDI_MODULE_MAP = {
+  circle: { channel: 0, octave: 0, length: 0.6 },
+  bar: { channel: 1, octave: 2, length: 0.08 },
+  block: { channel: 2, octave: 0, length: 0.4 },
+  diagonal: { channel: 3, octave: 0, length: 0.3 }
+};
+
+// Web MIDI in
+const MIDI_NOTE_BASE = 36;          // note for the top-left tile
+const MIDI_CC_TARGETS = ['bpm', 'scale', 'light', 'palette'];
+const MIDI_CC_DEFAULTS = { 20: 'bpm', 21: 'scale', 22: 'light', 23: 'palette' };
+const MIDI_CC_STORAGE_KEY = 'clickfield.midi.cc';
+const MIDI_CLOCK_GAP_MS = 500;      // longer between ticks = clock restarted
+
 // 7-limit JI pitch lattice (uses primes 2,3,5,7)
 const JI_RATIOS = [
-  1 / 1,  // unison
-  8 / 7,  // septimal major second
-  7 / 6,  // septimal minor third
-  5 / 4,  // major third
-  4 / 3,  // perfect fourth
-  7 / 5,  // septimal tritone
-  3 / 2,  // perfect fifth
-  5 / 3,  // major sixth
-  7 / 4   // harmonic seventh
+  '1/1',  // unison
+  '8/7',  // septimal major second
+  '7/6',  // septimal minor third
+  '5/4',  // major third
+  '4/3',  // perfect fourth
+  '7/5',  // septimal tritone
+  '3/2',  // perfect fifth
+  '5/3',  // major sixth
+  '7/4'   // harmonic seventh
+];
+
+// Tunings: { id, name, degrees: [{ ratio, label }], period, periodLabel,
+// keyboard } — degrees start at 1/1 and stay below the period; keyboard is
+// an optional .kbm mapping (see parseKeyboardMap()).
+const TUNING_PRESETS = [
+  ratioTuning('ji7', '7-limit JI', JI_RATIOS),
+  ratioTuning('ji5', '5-limit JI', [
+    '1/1', '16/15', '9/8', '6/5', '5/4', '4/3', '45/32', '3/2', '8/5', '5/3', '9/5', '15/8'
+  ]),
+  ratioTuning('ji11', '11-limit JI', [
+    '1/1', '12/11', '9/8', '7/6', '5/4', '4/3', '11/8', '3/2', '5/3', '7/4', '11/6'
+  ]),
+  ratioTuning('diamond', '11-limit diamond', tonalityDiamond([1, 3, 5, 7, 9, 11])),
+  edoTuning(12),
+  edoTuning(19),
+  edoTuning(31)
+];
+// Pitch mappings: rows walk the tuning; lattices ignore it and multiply
+// (3/2)^col × step^row around the grid center (pure JI, octave-reduced)
+const PITCH_MAPPINGS = [
+  { id: 'rows', label: 'rows' },
+  { id: 'lattice5', label: 'lattice 3/2 × 5/4', step: [5, 4] },
+  { id: 'lattice7', label: 'lattice 3/2 × 7/4', step: [7, 4] }
 ];
+const LATTICE_OCTAVE_RANGES = [1, 2, 3, 4];
+const DEFAULT_ROOT_FREQ = 220; // Hz (A3-ish)
+const MIN_ROOT_FREQ = 20;
+const MAX_ROOT_FREQ = 2000;
+const MAX_TUNING_DEGREES = 256;
 
 // -------------------- globals --------------------
 
 let tiles = [];
 let paletteIndex = 0;
 
+let gridCols = DEFAULT_GRID_COLS;
+let gridRows = DEFAULT_GRID_ROWS;
+
 let gridMetrics = {
   x0: 0,
   y0: 0,
@@ -97,6 +419,27 @@ let currentSeed = 123456789;
 
 let scenes = new Array(MAX_SCENES).fill(null);
 
+// Scene morphing
+let morphEnabled = false;
+let morphOrderIndex = 2;    // into MORPH_ORDERS
+let morphLengthIndex = 2;   // into MORPH_LENGTHS
+let sceneTransition = null; // active morph, see startSceneTransition()
+let sceneQueue = [];        // scene indices waiting for the current morph
+
+// Scene chain ("song mode"), advanced once per ripple cycle
+let sceneChain = { steps: [], loop: true }; // steps: [{ slot, cycles }]
+let chainPlaying = false;
+let chainPosition = 0;
+let chainCyclesLeft = 0;
+
+// Tuning
+let tuning = TUNING_PRESETS[0];
+let customTuning = null;       // last imported .scl, offered after presets
+let rootFreq = DEFAULT_ROOT_FREQ;
+let showRatios = false;
+let pitchMapping = 'rows';     // id in PITCH_MAPPINGS
+let latticeOctaves = 2;        // lattice pitches fold into [1, 2^n)
+
 let showGrid = false;
 let showHUD = true;
 
@@ -106,47 +449,111 @@ let brightnessOverlay = 0; // -0.7..0.7
 // Ripple sequencer state
 let isPlaying = false;
 let bpm = 96;
-let rippleSpeed = 1.0; // multiplier on bpm timing
-
+let rippleRateIndex = 3;  // into RIPPLE_RATES (1×)
+let rippleSpeed = 1.0;    // multiplier on bpm timing, from RIPPLE_RATES
+let rippleCycleBeats = 2; // beats per full sweep + tail, for every geometry
+let tapTimes = [];        // millis() of recent tempo taps
+
+// Emitters: emitters[0] is the primary one and always sits on originTile.
+// Each: { col, row, speed, width, threshold, direction,
+//         maxDist, cycleLength, pos, dists, + audio clock fields }
+// — see createEmitter()
 let originTile = null;
-let maxRippleDist = 0;     // max Euclidean distance from origin
-let ripplePos = 0;         // current radial position of the wave (in distance units)
-let rippleCycleLength = 0; // how far the wave travels before wrapping
+let emitters = [];
+let selectedEmitter = 0;
+let rippleGeometry = 'euclidean';
+
+// Evolution
+let evolutionRuleIndex = 0;   // into EVOLUTION_RULES
+let evolutionTimingIndex = 0; // into EVOLUTION_TIMINGS
+let evolutionGeneration = 0;
+let evolutionHistory = [];    // [{ generation, cols, rows, tiles }] for undo
+let evolutionBeatPos = 0;
+let evolutionTableText = DEFAULT_EVOLUTION_TABLE;
+let evolutionTable = null;    // parsed, see parseEvolutionTable()
+
+// Connectivity mode
+let connectStyle = 0;             // index into CONNECT_STYLES
+let connectRouting = false;       // ripple travels along links
+let connectNetworkDirty = false;  // links changed since distances were taken
+
+// Audio-clock scheduling
+let schedulerTimer = null;
+let clockRunning = false; // emitter clocks are anchored to audioCtx time
+let scheduledUntil = 0;   // audio time up to which crossings are booked
+let pendingVisuals = [];  // { tile, when } — animations waiting for the clock
 
 // Pointer for long-press origin selection
 let pointerDownTile = null;
 let pointerDownTime = 0;
 
+// Transient chrome message (load errors, confirmations)
+let notice = null; // { text, kind: 'info' | 'error', until }
+
+// Hidden <input type="file"> used by the file picker
+let fileInputEl = null;
+
+// Tile inspector panel: { el, fields, tile } once built
+let inspector = null;
+
+// Palette editor panel: { el, fields, warning } once built
+let paletteEditor = null;
+
+// FX mix (see FX_DEFAULTS) and its panel: { el, fields } once built
+let fxMix = cloneFxMix(FX_DEFAULTS);
+let fxPanel = null;
+
+// URL hash sync
+let urlStateLast = '';      // hash currently in the address bar
+let urlStatePending = null; // { hash, since } — waiting out the debounce
+
+// Web MIDI out
+let midiAccess = null;
+let midiOutputs = [];      // ports offered by M (mock port first when enabled)
+let midiOutIndex = -1;     // into midiOutputs, -1 = off
+let midiMockOutput = null; // ?midi=mock port, made once so its log survives refreshes
+let midiMpe = true;        // false: one channel per glyph type
+let midiChannelFreeAt = new Array(16).fill(0); // performance.now() ms
+let midiNextChannel = 0;   // MPE member channel rotation
+let midiClockTimer = null;
+let midiClockNext = 0;     // performance.now() ms of the next clock tick
+let midiClockWasPlaying = false;
+
+// Web MIDI in
+let midiInputs = [];          // ports listened to (mock port when enabled)
+let midiInMode = 0;           // 0 off, 1 notes + CCs, 2 also follow clock
+let midiLearnTarget = -1;     // into MIDI_CC_TARGETS, -1 = not learning
+let midiCCBindings = { ...MIDI_CC_DEFAULTS }; // cc number → target
+let midiClockTimes = [];      // performance.now() ms of recent incoming ticks
+
+// Offline render in progress (one at a time)
+let audioRenderBusy = false;
+
+// Video capture: null, or { phase: 'armed' | 'recording', cyclesLeft,
+// startedAt, recorder, chunks, audioDest } — see startVideoCapture()
+let videoCapture = null;
+
 // Web Audio
 let audioCtx = null;
-let masterGain = null;
+let masterGain = null; // dry voice bus, the input of fxChain
+let fxChain = null;    // see buildFxChain()
+
+// Samples: id → { id, name, buffer, reversed }; slots map glyph family
+// (tile.moduleType) → id, a missing family plays its synth voice
+let sampleLibrary = new Map();
+let sampleSlots = {};
 
-// Global grain concurrency limiter
-let activeGrainCount = 0;
+// Voice pool: live grains, see allocateVoice()
+let voicePool = [];
+let voiceStealPolicy = 'oldest'; // one of VOICE_STEAL_POLICIES
+let voiceStats = { stolen: 0, dropped: 0 };
 
 function maxConcurrentGrains() {
   // Never allow more active grains than modules on screen
-  const count = tiles && tiles.length ? tiles.length : GRID_COLS * GRID_ROWS;
+  const count = tiles && tiles.length ? tiles.length : gridCols * gridRows;
   return max(1, count);
 }
 
-function beginGrain(totalDurationSeconds) {
-  const maxGrains = maxConcurrentGrains();
-  if (activeGrainCount >= maxGrains) {
-    // drop this grain if we’re already at capacity
-    return false;
-  }
-
-  activeGrainCount++;
-
-  const decayMs = (totalDurationSeconds + 0.05) * 1000; // small safety pad
-  setTimeout(() => {
-    activeGrainCount = max(0, activeGrainCount - 1);
-  }, decayMs);
-
-  return true;
-}
-
 // -------------------- setup / draw --------------------
 
 function setup() {
@@ -155,9 +562,20 @@ function setup() {
   noStroke();
   textFont('system-ui, -apple-system, BlinkMacSystemFont, sans-serif');
 
+  const urlGrid = getGridSizeFromURL();
+  if (urlGrid) setGridDimensions(urlGrid.cols, urlGrid.rows);
+
   currentSeed = getSeedFromURL() ?? floor(random(1e9));
   buildTilesFromSeed();
   initRippleOrigin();
+  loadCustomPalettes();
+  loadScenesFromStorage();
+  loadMidiBindings();
+  loadSampleSet();
+  evolutionTable = parseEvolutionTable(evolutionTableText);
+  loadEvolutionTable();
+  initFileDrop();
+  initURLState();
 }
 
 function draw() {
@@ -166,9 +584,18 @@ function draw() {
 
   const dt = deltaTime / 1000.0;
 
+  if (sceneTransition) {
+    updateSceneTransition(dt);
+  }
+
+  expireTapTempo();
+
   if (isPlaying) {
     updateRipple(dt);
+    updateEvolution(dt);
   }
+  flushScheduledVisuals();
+  if (fxChain) syncFxTempo(fxChain);
 
   for (let i = 0; i < tiles.length; i++) {
     updateTile(tiles[i], dt);
@@ -183,9 +610,19 @@ function draw() {
     drawGridOverlay();
   }
 
+  if (showRatios) {
+    drawRatioLabels();
+  }
+
   if (showHUD) {
     drawChrome();
   }
+
+  if (notice) {
+    drawNotice();
+  }
+
+  syncURLState();
 }
 
 function windowResized() {
@@ -196,33 +633,37 @@ function windowResized() {
 // -------------------- layout & seeding --------------------
 
 function computeGridMetrics() {
-  const marginX = width * 0.08;
-  const marginY = height * 0.08;
-  const gridW = width - marginX * 2;
-  const gridH = height - marginY * 2;
+  Object.assign(gridMetrics, gridMetricsFor(width, height));
+}
 
-  gridMetrics.x0 = marginX;
-  gridMetrics.y0 = marginY;
-  gridMetrics.cellW = gridW / GRID_COLS;
-  gridMetrics.cellH = gridH / GRID_ROWS;
+// Grid placement on a w × h surface (the canvas, or a printed page).
+function gridMetricsFor(w, h) {
+  const marginX = w * 0.08;
+  const marginY = h * 0.08;
+  return {
+    x0: marginX,
+    y0: marginY,
+    cellW: (w - marginX * 2) / gridCols,
+    cellH: (h - marginY * 2) / gridRows
+  };
 }
 
 function moduleTypeForCol(col) {
   // Columns still have a "voice" bias, but color is independent.
-  const bandCount = MODULE_TYPES.length;
-  const segment = floor(map(col, 0, GRID_COLS, 0, bandCount));
-  return MODULE_TYPES[constrain(segment, 0, bandCount - 1)];
+  const bandCount = SEEDED_GLYPH_FAMILIES.length;
+  const segment = floor(map(col, 0, gridCols, 0, bandCount));
+  return SEEDED_GLYPH_FAMILIES[constrain(segment, 0, bandCount - 1)];
 }
 
 function densityBiasForRow(row) {
   // 0 at top row (sparse), 1 at bottom row (dense)
-  if (GRID_ROWS <= 1) return 0.5;
-  return row / (GRID_ROWS - 1);
+  if (gridRows <= 1) return 0.5;
+  return row / (gridRows - 1);
 }
 
 function emptyStateIndex(type) {
-  if (type === 'circle') return 5;
-  return 4;
+  const family = glyphFamily(type);
+  return family ? family.empty : 0;
 }
 
 function pickInitialState(moduleType, row) {
@@ -243,12 +684,16 @@ function pickInitialState(moduleType, row) {
 }
 
 function buildTilesFromSeed() {
+  // A running morph holds references to the old tiles
+  cancelSceneTransition();
+  resetEvolution();
+
   randomSeed(currentSeed);
   computeGridMetrics();
   tiles = [];
 
-  for (let row = 0; row < GRID_ROWS; row++) {
-    for (let col = 0; col < GRID_COLS; col++) {
+  for (let row = 0; row < gridRows; row++) {
+    for (let col = 0; col < gridCols; col++) {
       const moduleType = moduleTypeForCol(col);
       const stateCount = moduleStateCount(moduleType);
       const initialState = pickInitialState(moduleType, row);
@@ -267,16 +712,18 @@ function buildTilesFromSeed() {
         moduleType,              // glyph type
         state: initialState,     // glyph state
         stateCount,
-        colorIndex: floor(random(3)), // 0: primary, 1: secondary, 2: accent
+        colorIndex: floor(random(PALETTE_FILL_SLOTS.length)), // see PALETTE_FILL_SLOTS
         animActive: false,
         animT: 1,
         animDuration: 0.22,
         animDirection: random([-1, 1]),
         clickCount: 0,
         lastChangedFrame: -1,
-        dist: 0,        // Euclidean distance from origin
-        prevAmp: 0,     // previous ripple amplitude
-        currentAmp: 0   // current ripple amplitude
+        overrides: null,  // per-tile sound overrides, see TILE_OVERRIDE_DEFAULTS
+        dist: 0,          // Euclidean distance from origin (primary emitter)
+        emitterDists: [], // distance to each emitter
+        emitterAmps: [],  // previous amplitude per emitter (for triggering)
+        currentAmp: 0     // combined ripple amplitude
       });
     }
   }
@@ -296,14 +743,97 @@ function updateTileGeometry() {
   }
 }
 
+function isValidGridSize(cols, rows) {
+  return (
+    Number.isInteger(cols) &&
+    Number.isInteger(rows) &&
+    cols >= MIN_GRID_COLS &&
+    cols <= MAX_GRID_COLS &&
+    rows >= MIN_GRID_ROWS &&
+    rows <= MAX_GRID_ROWS
+  );
+}
+
+// Switches the grid dimensions without touching tiles; callers rebuild.
+// Scene slots follow the grid: a bank stored for the new size replaces the
+// current one, otherwise the current scenes carry over and get remapped.
+function setGridDimensions(cols, rows) {
+  cols = constrain(cols, MIN_GRID_COLS, MAX_GRID_COLS);
+  rows = constrain(rows, MIN_GRID_ROWS, MAX_GRID_ROWS);
+  if (cols === gridCols && rows === gridRows) return;
+
+  gridCols = cols;
+  gridRows = rows;
+  loadScenesFromStorage();
+}
+
+// Live resize that keeps hand edits wherever the old and new grids overlap.
+function resizeGrid(cols, rows) {
+  cols = constrain(cols, MIN_GRID_COLS, MAX_GRID_COLS);
+  rows = constrain(rows, MIN_GRID_ROWS, MAX_GRID_ROWS);
+  if (cols === gridCols && rows === gridRows) return;
+
+  const oldTiles = tiles;
+  const oldEmitters = serializeEmitters();
+
+  setGridDimensions(cols, rows);
+  buildTilesFromSeed();
+
+  for (let i = 0; i < oldTiles.length; i++) {
+    const prev = oldTiles[i];
+    const tile = findTileAtGridIndex(prev.col, prev.row);
+    if (!tile) continue;
+
+    tile.moduleType = prev.moduleType;
+    tile.stateCount = prev.stateCount;
+    tile.state = prev.state;
+    tile.colorIndex = prev.colorIndex;
+    tile.overrides = prev.overrides;
+    tile.clickCount = prev.clickCount;
+  }
+
+  // Emitters that fell off the grid are dropped
+  restoreEmitters(
+    oldEmitters.filter((e) => e.col < gridCols && e.row < gridRows),
+    gridCols,
+    gridRows
+  );
+
+  showNotice(`Grid ${gridCols}×${gridRows}`);
+}
+
+// Nearest-neighbour resample of a row-major tile list onto another grid size.
+function remapTileList(list, fromCols, fromRows, toCols, toRows) {
+  if (fromCols === toCols && fromRows === toRows) return list;
+
+  const out = [];
+  for (let row = 0; row < toRows; row++) {
+    const srcRow = min(fromRows - 1, floor((row * fromRows) / toRows));
+    for (let col = 0; col < toCols; col++) {
+      const srcCol = min(fromCols - 1, floor((col * fromCols) / toCols));
+      out.push(list[srcRow * fromCols + srcCol]);
+    }
+  }
+  return out;
+}
+
+function remapGridIndex(col, row, fromCols, fromRows, toCols, toRows) {
+  return {
+    col: min(toCols - 1, floor(((col + 0.5) * toCols) / fromCols)),
+    row: min(toRows - 1, floor(((row + 0.5) * toRows) / fromRows))
+  };
+}
+
 // -------------------- ripple sequencer --------------------
 
 function initRippleOrigin() {
   // Default to center cell
   originTile =
-    findTileAtGridIndex(floor(GRID_COLS / 2), floor(GRID_ROWS / 2)) ||
+    findTileAtGridIndex(floor(gridCols / 2), floor(gridRows / 2)) ||
     tiles[0] ||
     null;
+  emitters = originTile ? [createEmitter(originTile.col, originTile.row)] : [];
+  selectedEmitter = 0;
   computeRippleDistances();
 }
 
@@ -315,102 +845,619 @@ function findTileAtGridIndex(col, row) {
   return null;
 }
 
+function createEmitter(col, row, params = EMITTER_DEFAULTS) {
+  return {
+    col,
+    row,
+    speed: params.speed,
+    width: params.width,
+    threshold: params.threshold,
+    direction: params.direction,
+    maxDist: 0,
+    cycleLength: 0,
+    pos: 0,
+    dists: [],
+    // audio clock: unwrapped position clockPos at audio time clockTime,
+    // moving at clockRate distance units per second
+    clockTime: 0,
+    clockPos: 0,
+    clockRate: 0,
+    scheduledPos: 0, // crossings up to here are booked
+    cycleCount: 0
+  };
+}
+
+function primaryEmitter() {
+  return emitters[0] || null;
+}
+
 function computeRippleDistances() {
   if (!originTile) return;
-  maxRippleDist = 0;
+
+  if (emitters.length === 0) {
+    emitters.push(createEmitter(originTile.col, originTile.row));
+  }
+  emitters[0].col = originTile.col;
+  emitters[0].row = originTile.row;
+  selectedEmitter = min(selectedEmitter, emitters.length - 1);
+
+  const fields = emitters.map((emitter, e) => distanceField(emitter, e));
+
+  for (let e = 0; e < emitters.length; e++) {
+    emitters[e].maxDist = 0;
+  }
 
   for (let i = 0; i < tiles.length; i++) {
     const t = tiles[i];
-    const dx = t.col - originTile.col;
-    const dy = t.row - originTile.row;
-    const d = Math.sqrt(dx * dx + dy * dy);
-    t.dist = d;
-    t.prevAmp = 0;
+    t.emitterDists = [];
+    t.emitterAmps = [];
+
+    for (let e = 0; e < emitters.length; e++) {
+      const emitter = emitters[e];
+      emitter.dists = fields[e];
+      const d = fields[e][i];
+      t.emitterDists.push(d);
+      t.emitterAmps.push(0);
+      if (d > emitter.maxDist && d !== Infinity) emitter.maxDist = d;
+    }
+
+    t.dist = t.emitterDists[0];
     t.currentAmp = 0;
-    if (d > maxRippleDist) maxRippleDist = d;
   }
 
-  // Let the wave travel a bit beyond the furthest tile before wrapping
-  rippleCycleLength = maxRippleDist + 2.0;
-  ripplePos = 0;
+  for (let e = 0; e < emitters.length; e++) {
+    // Let the wave travel a bit beyond the furthest tile before wrapping.
+    // Scans wrap after exactly one more step so every column/row is a step.
+    const tail = isScanGeometry() ? 1.0 : 2.0;
+    emitters[e].cycleLength = emitters[e].maxDist + tail;
+    emitters[e].pos = 0;
+  }
+
+  if (clockRunning) {
+    restartEmitterClocks();
+  }
+}
+
+function isScanGeometry() {
+  return rippleGeometry === 'scan-x' || rippleGeometry === 'scan-y';
+}
+
+// Distance of every tile (in tiles order) from an emitter, per rippleGeometry.
+// Tiles the network doesn't reach are Infinity and never fire.
+function distanceField(emitter, emitterIndex) {
+  // Along the network when routing (an emitter on a bare tile still spreads)
+  const network = connectRouting ? networkDistanceField(emitter) : null;
+  if (network) return network;
+
+  const out = new Array(tiles.length);
+
+  for (let i = 0; i < tiles.length; i++) {
+    const t = tiles[i];
+    const dx = t.col - emitter.col;
+    const dy = t.row - emitter.row;
+    let d;
+
+    switch (rippleGeometry) {
+      case 'manhattan':
+        d = Math.abs(dx) + Math.abs(dy);
+        break;
+      case 'chebyshev':
+        d = Math.max(Math.abs(dx), Math.abs(dy));
+        break;
+      case 'scan-x':
+        d = (dx + gridCols) % gridCols;
+        break;
+      case 'scan-y':
+        d = (dy + gridRows) % gridRows;
+        break;
+      case 'spiral':
+        d = Math.sqrt(dx * dx + dy * dy) + (Math.atan2(dy, dx) + Math.PI) / (2 * Math.PI);
+        break;
+      default:
+        d = Math.sqrt(dx * dx + dy * dy);
+        break;
+    }
+    out[i] = d;
+  }
+
+  if (rippleGeometry === 'shuffle') {
+    // Same set of distances as the circle, dealt out in a seeded order
+    const rand = seededRandom(currentSeed + emitterIndex * 7919);
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      const tmp = out[i];
+      out[i] = out[j];
+      out[j] = tmp;
+    }
+  }
+
+  return out;
+}
+
+function setRippleGeometry(geometry) {
+  if (!RIPPLE_GEOMETRIES.includes(geometry)) return;
+  rippleGeometry = geometry;
+  computeRippleDistances();
 }
 
 function updateRipple(dt) {
-  if (!originTile || maxRippleDist <= 0) return;
+  if (!originTile || emitters.length === 0) return;
+
+  if (clockRunning && audioCtx && audioCtx.state === 'running') {
+    // Scheduler books the grains; the picture just follows the audio clock
+    followAudioClock();
+    updateRippleAmplitudes(false);
+  } else {
+    // No running audio clock: advance by frame time and trigger inline
+    advanceRippleByFrame(dt);
+    updateRippleAmplitudes(true);
+  }
+}
 
-  // bpm + rippleSpeed → radial speed (distance units per second)
+// Distance units per second for an emitter at the current tempo settings.
+function emitterRate(emitter) {
+  // bpm + rippleSpeed → beats per second shared by all emitters
   const beatsPerSecond = (bpm / 60) * rippleSpeed;
 
-  // Wave reaches max radius in ~2 beats (tweakable)
-  const distancePerBeat = maxRippleDist / 2.0;
-  const radialSpeed = beatsPerSecond * distancePerBeat;
+  // One cycle (sweep + tail) spans rippleCycleBeats whatever the
+  // geometry's extent, so the wrap stays on the beat; scaled per emitter
+  const distancePerBeat = emitter.cycleLength / rippleCycleBeats;
+  return beatsPerSecond * distancePerBeat * emitter.speed;
+}
 
-  ripplePos += radialSpeed * dt;
+function advanceRippleByFrame(dt) {
+  for (let e = 0; e < emitters.length; e++) {
+    const emitter = emitters[e];
+    if (emitter.maxDist <= 0) continue;
 
-  if (rippleCycleLength <= 0) {
-    rippleCycleLength = maxRippleDist + 2.0;
-  }
-  // wrap ripple position so the wave keeps cycling
-  if (ripplePos > rippleCycleLength) {
-    ripplePos -= rippleCycleLength * Math.floor(ripplePos / rippleCycleLength);
-  }
+    emitter.pos += emitterRate(emitter) * dt;
 
-  const triggerThreshold = 0.7;
-  const width = 0.9; // thickness of the wavefront in distance units
+    // wrap ripple position so the wave keeps cycling
+    if (emitter.pos > emitter.cycleLength) {
+      emitter.pos -= emitter.cycleLength * Math.floor(emitter.pos / emitter.cycleLength);
+      // The primary emitter is the clock for cycle-based features
+      if (e === 0) onRippleCycle();
+    }
+  }
+}
 
+function updateRippleAmplitudes(triggering) {
   for (let i = 0; i < tiles.length; i++) {
     const tile = tiles[i];
-    if (tile.dist == null) continue;
+    if (!tile.emitterDists || tile.emitterDists.length !== emitters.length) continue;
+
+    let combined = 0;
+    for (let e = 0; e < emitters.length; e++) {
+      const emitter = emitters[e];
+      if (emitter.maxDist <= 0) continue;
+
+      // Shift the front back by the threshold lead so a tile fires exactly
+      // when the wave position reaches its distance (on the step grid)
+      const lead = emitter.width * Math.sqrt(-2 * Math.log(emitter.threshold));
+      const front =
+        emitter.direction > 0
+          ? emitter.pos - lead
+          : emitter.maxDist - emitter.pos + lead;
+      const delta = Math.abs(tile.emitterDists[e] - front);
+      const x = delta / emitter.width;
+
+      // Gaussian-ish "shell" around the wavefront
+      const amp = Math.exp(-0.5 * x * x);
+
+      // each emitter triggers when it crosses its own threshold upward
+      const prev = tile.emitterAmps[e];
+      if (triggering && prev < emitter.threshold && amp >= emitter.threshold) {
+        handleRippleOnTile(tile, amp);
+      }
+
+      tile.emitterAmps[e] = amp;
+      combined += amp;
+    }
+
+    tile.currentAmp = min(1, combined);
+  }
+}
+
+// -------------------- look-ahead scheduler --------------------
+
+// Every crossing of one emitter's wave over the tiles between unwrapped
+// positions fromPos (exclusive) and toPos (inclusive), with the audio time
+// each happens at. Pure — no p5 or Web Audio — so it can be driven headless
+// (test/scheduler.test.js runs it and schedulerTick() under `npm test`):
+//   clock: { clockTime, clockPos, clockRate }
+//   dists: distance per tile, maxDist / cycleLength / direction as on emitters
+// Returns [{ tileIndex, pos, time }] sorted by time.
+function rippleCrossings(clock, dists, maxDist, cycleLength, direction, fromPos, toPos) {
+  const out = [];
+  if (!(cycleLength > 0) || !(clock.clockRate > 0) || toPos <= fromPos) return out;
+
+  for (let i = 0; i < dists.length; i++) {
+    // A tile fires when the (wrapped) position reaches its distance outward,
+    // or its distance counted back from the rim inward
+    if (dists[i] === Infinity) continue;
+    const target = direction > 0 ? dists[i] : maxDist - dists[i];
+    const kFrom = Math.floor((fromPos - target) / cycleLength) + 1;
+    const kTo = Math.floor((toPos - target) / cycleLength);
+
+    for (let k = kFrom; k <= kTo; k++) {
+      const pos = target + k * cycleLength;
+      out.push({
+        tileIndex: i,
+        pos,
+        time: clock.clockTime + (pos - clock.clockPos) / clock.clockRate
+      });
+    }
+  }
+
+  out.sort((a, b) => a.time - b.time || a.tileIndex - b.tileIndex);
+  return out;
+}
+
+function emitterPosAt(emitter, time) {
+  return emitter.clockPos + emitter.clockRate * (time - emitter.clockTime);
+}
+
+function startScheduler() {
+  if (schedulerTimer !== null) return;
+  schedulerTimer = setInterval(schedulerTick, SCHEDULER_INTERVAL_MS);
+}
+
+function schedulerTick() {
+  if (!isPlaying || !audioCtx || audioCtx.state !== 'running' || emitters.length === 0) {
+    clockRunning = false;
+    return;
+  }
+
+  const now = audioCtx.currentTime;
+  if (!clockRunning) {
+    // (Re)start from wherever the picture is
+    for (let e = 0; e < emitters.length; e++) {
+      const emitter = emitters[e];
+      emitter.clockTime = now;
+      emitter.clockPos = emitter.pos;
+      emitter.clockRate = emitterRate(emitter);
+      emitter.scheduledPos = emitter.pos - 1e-6;
+      emitter.cycleCount = 0;
+    }
+    scheduledUntil = now;
+    clockRunning = true;
+  }
+
+  const horizon = now + SCHEDULE_AHEAD_S;
+  for (let e = 0; e < emitters.length; e++) {
+    const emitter = emitters[e];
+    if (emitter.maxDist <= 0) continue;
+
+    // Tempo / rate change: re-anchor at the edge of what is already booked
+    const rate = emitterRate(emitter);
+    if (rate !== emitter.clockRate) {
+      const at = max(scheduledUntil, emitter.clockTime);
+      emitter.clockPos = emitterPosAt(emitter, at);
+      emitter.clockTime = at;
+      emitter.clockRate = rate;
+    }
+
+    const toPos = emitterPosAt(emitter, horizon);
+    const crossings = rippleCrossings(
+      emitter,
+      emitter.dists,
+      emitter.maxDist,
+      emitter.cycleLength,
+      emitter.direction,
+      emitter.scheduledPos,
+      toPos
+    );
+    for (let c = 0; c < crossings.length; c++) {
+      const crossing = crossings[c];
+      const tile = tiles[crossing.tileIndex];
+      if (!tile || crossing.time < now - SCHEDULE_MAX_LATE_S) continue;
+      handleRippleOnTile(tile, emitter.threshold, max(crossing.time, now));
+    }
+    emitter.scheduledPos = max(emitter.scheduledPos, toPos);
+  }
+  scheduledUntil = horizon;
+}
+
+// Distances changed (origin, geometry, scene…): every wave restarts from 0
+// at the end of the window that is already booked, so nothing doubles up.
+function restartEmitterClocks() {
+  const at = max(audioCtx ? audioCtx.currentTime : 0, scheduledUntil);
+  for (let e = 0; e < emitters.length; e++) {
+    const emitter = emitters[e];
+    emitter.clockTime = at;
+    emitter.clockPos = 0;
+    emitter.clockRate = emitterRate(emitter);
+    emitter.scheduledPos = -1e-6;
+    emitter.cycleCount = 0;
+  }
+}
+
+function followAudioClock() {
+  const now = audioCtx.currentTime;
+  for (let e = 0; e < emitters.length; e++) {
+    const emitter = emitters[e];
+    if (emitter.maxDist <= 0) continue;
+
+    const p = emitterPosAt(emitter, now);
+    if (p < 0) {
+      // restart is still inside the booked window
+      emitter.pos = 0;
+      continue;
+    }
+
+    emitter.pos = p - emitter.cycleLength * Math.floor(p / emitter.cycleLength);
+
+    const cycles = Math.floor(p / emitter.cycleLength);
+    if (cycles > emitter.cycleCount) {
+      emitter.cycleCount = cycles;
+      // The primary emitter is the clock for cycle-based features
+      if (e === 0) onRippleCycle();
+    }
+  }
+}
+
+function flushScheduledVisuals() {
+  if (pendingVisuals.length === 0) return;
+  const now = audioCtx ? audioCtx.currentTime : Infinity;
+
+  const waiting = [];
+  for (let i = 0; i < pendingVisuals.length; i++) {
+    const item = pendingVisuals[i];
+    if (item.when <= now) {
+      triggerTileAnimation(item.tile, false);
+    } else {
+      waiting.push(item);
+    }
+  }
+  pendingVisuals = waiting;
+}
+
+// -------------------- emitters --------------------
+
+function emitterIndexAt(tile) {
+  for (let e = 0; e < emitters.length; e++) {
+    if (emitters[e].col === tile.col && emitters[e].row === tile.row) return e;
+  }
+  return -1;
+}
+
+function moveSelectedEmitterTo(tile) {
+  if (selectedEmitter === 0) {
+    originTile = tile;
+  } else {
+    emitters[selectedEmitter].col = tile.col;
+    emitters[selectedEmitter].row = tile.row;
+  }
+  computeRippleDistances();
+}
+
+function addEmitterAt(tile) {
+  if (emitters.length >= MAX_EMITTERS) {
+    showNotice(`At most ${MAX_EMITTERS} emitters.`, 'error');
+    return;
+  }
+  const template = emitters[selectedEmitter] || EMITTER_DEFAULTS;
+  emitters.push(createEmitter(tile.col, tile.row, template));
+  selectedEmitter = emitters.length - 1;
+  computeRippleDistances();
+}
+
+function removeEmitterAt(tile) {
+  const index = emitterIndexAt(tile);
+  if (index < 0) return;
+  if (emitters.length === 1) {
+    showNotice('The last emitter stays — long-press to move it.', 'error');
+    return;
+  }
+
+  emitters.splice(index, 1);
+  if (index === 0) {
+    // Next emitter becomes the primary one / origin
+    originTile = findTileAtGridIndex(emitters[0].col, emitters[0].row) || originTile;
+  }
+  if (selectedEmitter >= index) selectedEmitter = max(0, selectedEmitter - 1);
+  computeRippleDistances();
+}
+
+function adjustSelectedEmitter(changes) {
+  const emitter = emitters[selectedEmitter];
+  if (!emitter) return;
+
+  if (changes.speedFactor) {
+    emitter.speed = constrain(emitter.speed * changes.speedFactor, 0.25, 4);
+  }
+  if (changes.widthDelta) {
+    emitter.width = constrain(emitter.width + changes.widthDelta, 0.3, 3);
+  }
+  if (changes.nextThreshold) {
+    const i = EMITTER_THRESHOLDS.indexOf(emitter.threshold);
+    emitter.threshold = EMITTER_THRESHOLDS[(i + 1) % EMITTER_THRESHOLDS.length];
+  }
+  if (changes.flipDirection) {
+    emitter.direction = -emitter.direction;
+  }
+}
+
+function serializeEmitters() {
+  return emitters.map((e) => ({
+    col: e.col,
+    row: e.row,
+    speed: e.speed,
+    width: e.width,
+    threshold: e.threshold,
+    direction: e.direction
+  }));
+}
+
+// Rebuilds emitters from a serialized list recorded on a fromCols×fromRows
+// grid. The first entry becomes the origin.
+function restoreEmitters(list, fromCols, fromRows) {
+  const next = [];
+  for (let i = 0; i < list.length && next.length < MAX_EMITTERS; i++) {
+    const src = list[i];
+    const o = remapGridIndex(src.col, src.row, fromCols, fromRows, gridCols, gridRows);
+    next.push(
+      createEmitter(o.col, o.row, {
+        speed: constrain(Number.isFinite(src.speed) ? src.speed : 1, 0.25, 4),
+        width: constrain(Number.isFinite(src.width) ? src.width : 0.9, 0.3, 3),
+        threshold: constrain(Number.isFinite(src.threshold) ? src.threshold : 0.7, 0.05, 0.99),
+        direction: src.direction === -1 ? -1 : 1
+      })
+    );
+  }
 
-    const d = tile.dist;
-    const delta = Math.abs(d - ripplePos);
-    const x = delta / width;
+  if (next.length > 0) {
+    emitters = next;
+    originTile = findTileAtGridIndex(next[0].col, next[0].row) || originTile;
+  }
+  selectedEmitter = 0;
+  computeRippleDistances();
+}
+
+// Applies the origin / emitters stored in a scene or snapshot recorded on a
+// fromCols×fromRows grid. Records from before emitters only carry an origin.
+function applyStoredEmitters(record, fromCols, fromRows) {
+  if (Array.isArray(record.emitters) && record.emitters.length > 0) {
+    restoreEmitters(record.emitters, fromCols, fromRows);
+    return;
+  }
 
-    // Gaussian-ish "shell" around the wavefront
-    let amp = Math.exp(-0.5 * x * x);
+  if (record.origin) {
+    const o = remapGridIndex(
+      record.origin.col,
+      record.origin.row,
+      fromCols,
+      fromRows,
+      gridCols,
+      gridRows
+    );
+    originTile = findTileAtGridIndex(o.col, o.row) || originTile;
+  }
+  computeRippleDistances();
+}
 
-    const prev = tile.prevAmp;
-    tile.currentAmp = amp;
+function storedEmittersMatch(record, fromCols, fromRows) {
+  if (fromCols !== gridCols || fromRows !== gridRows) return false;
+  if (Array.isArray(record.emitters) && record.emitters.length > 0) {
+    return JSON.stringify(record.emitters) === JSON.stringify(serializeEmitters());
+  }
+  if (record.origin && originTile) {
+    return record.origin.col === originTile.col && record.origin.row === originTile.row;
+  }
+  return true;
+}
 
-    // trigger when we cross threshold upward
-    if (prev < triggerThreshold && amp >= triggerThreshold) {
-      handleRippleOnTile(tile, amp);
+// Returns a reason the list is unusable, or null.
+function validateEmitterList(list, cols, rows) {
+  if (!Array.isArray(list) || list.length === 0) return 'emitters must be a non-empty list';
+  if (list.length > MAX_EMITTERS) return `at most ${MAX_EMITTERS} emitters`;
+  for (let i = 0; i < list.length; i++) {
+    const e = list[i];
+    if (
+      !e ||
+      !Number.isInteger(e.col) ||
+      !Number.isInteger(e.row) ||
+      e.col < 0 ||
+      e.col >= cols ||
+      e.row < 0 ||
+      e.row >= rows
+    ) {
+      return `emitter ${i} is outside the grid`;
     }
+  }
+  return null;
+}
+
+// -------------------- tempo --------------------
+
+function setRippleRate(index) {
+  rippleRateIndex = constrain(index, 0, RIPPLE_RATES.length - 1);
+  rippleSpeed = RIPPLE_RATES[rippleRateIndex].factor;
+}
+
+// Rate / cycle length stored in a scene or snapshot (both optional).
+function applyStoredRate(record) {
+  const rate = RIPPLE_RATES.findIndex((r) => r.label === record.rate);
+  if (rate >= 0) setRippleRate(rate);
+  if (Number.isInteger(record.cycleBeats)) {
+    rippleCycleBeats = constrain(record.cycleBeats, MIN_CYCLE_BEATS, MAX_CYCLE_BEATS);
+  }
+}
+
+function tapTempo() {
+  const now = millis();
+  if (tapTimes.length > 0 && now - tapTimes[tapTimes.length - 1] > TAP_TIMEOUT_MS) {
+    tapTimes = [];
+  }
+  tapTimes.push(now);
+  if (tapTimes.length > TAP_HISTORY) tapTimes.shift();
+  if (tapTimes.length < 2) return;
+
+  const span = tapTimes[tapTimes.length - 1] - tapTimes[0];
+  const avgInterval = span / (tapTimes.length - 1);
+  bpm = constrain(round(60000 / avgInterval), BPM_MIN, BPM_MAX);
+}
+
+function expireTapTempo() {
+  if (tapTimes.length > 0 && millis() - tapTimes[tapTimes.length - 1] > TAP_TIMEOUT_MS) {
+    tapTimes = [];
+  }
+}
 
-    tile.prevAmp = amp;
+// -------------------- ripple events --------------------
+
+function onRippleCycle() {
+  onEvolutionCycle();
+  if (connectNetworkDirty) {
+    connectNetworkDirty = false;
+    computeRippleDistances();
+  }
+  if (chainPlaying) {
+    advanceSceneChain();
+  }
+  if (videoCapture) {
+    onVideoCaptureCycle();
   }
 }
 
-function handleRippleOnTile(tile, amp) {
-  triggerTileAnimation(tile, false);
-  triggerGrainFromTile(tile, amp);
+// `when` is an audio time for booked crossings; omitted means "now".
+function handleRippleOnTile(tile, amp, when) {
+  if (!tileChanceAllows(tile, Math.random())) return;
+
+  if (when == null) {
+    triggerTileAnimation(tile, false);
+  } else {
+    pendingVisuals.push({ tile, when });
+  }
+  triggerGrainFromTile(tile, amp, when);
 }
 
 // -------------------- tile logic --------------------
 
 function moduleStateCount(type) {
-  switch (type) {
-    case 'circle':
-      return 6; // full, ring, half up, half right, quarter, empty
-    case 'bar':
-      return 5; // vertical, horizontal, cross, double vertical, empty
-    case 'block':
-      return 5; // full, two stacks, L, window, empty
-    case 'diagonal':
-      return 5; // /, \, X, diagonal blocks, empty
-    default:
-      return 1;
-  }
+  const family = glyphFamily(type);
+  return family ? family.states.length : 1;
 }
 
 function currentPalette() {
-  return paletteDefs[paletteIndex % paletteDefs.length];
+  const palette = paletteDefs[paletteIndex % paletteDefs.length];
+  if (!sceneTransition) return palette;
+
+  // Mid-morph: blend towards the target scene's palette
+  const target = paletteDefs[sceneTransition.toPaletteIndex % paletteDefs.length];
+  if (target === palette) return palette;
+
+  const k = sceneTransitionProgress();
+  const blend = { name: `${palette.name} → ${target.name}` };
+  for (const slot of PALETTE_SLOTS) {
+    blend[slot] = lerpHexColor(palette[slot], target[slot], k);
+  }
+  return blend;
 }
 
 function getFillForTile(tile, palette) {
-  if (tile.colorIndex === 0) return palette.primary;
-  if (tile.colorIndex === 1) return palette.secondary;
-  return palette.accent;
+  const slot = PALETTE_FILL_SLOTS[tile.colorIndex] || PALETTE_FILL_SLOTS[PALETTE_FILL_SLOTS.length - 1];
+  return palette[slot];
 }
 
 function updateTile(tile, dt) {
@@ -454,22 +1501,16 @@ function drawTile(tile, palette) {
 
   push();
   translate(cx, cy);
-  scale(pulse);
-  rotate(rot);
 
-  switch (tile.moduleType) {
-    case 'circle':
-      drawCircleModule(tile, size, baseColor, bg);
-      break;
-    case 'bar':
-      drawBarModule(tile, size, baseColor, bg);
-      break;
-    case 'block':
-      drawBlockModule(tile, size, baseColor, bg);
-      break;
-    case 'diagonal':
-      drawDiagonalModule(tile, size, baseColor, bg);
-      break;
+  const links = connectStyle > 0 ? tileLinks(tile) : [];
+  if (links.length > 0) {
+    // links stay put so they meet their neighbours; they swell instead
+    drawTileLinks(tile, links, baseColor, bg, 1 + 0.35 * amp + 0.3 * animWave);
+  } else {
+    scale(pulse);
+    rotate(rot);
+    noStroke();
+    drawModuleGlyph(tile, size, canvasGlyphPen(baseColor, bg));
   }
 
   // Ghost / history overlay — faint inner frame for "hot" tiles
@@ -492,153 +1533,1139 @@ function drawTile(tile, palette) {
   pop();
 }
 
-// -------------------- module drawing --------------------
-
-function drawCircleModule(tile, size, baseColor, bgColor) {
-  const state = tile.state;
-
-  noStroke();
+// -------------------- tile overrides --------------------
 
-  if (state === 5) {
-    // empty
-    return;
-  }
-
-  if (state === 0) {
-    // full circle
-    fill(baseColor);
-    circle(0, 0, size);
-  } else if (state === 1) {
-    // ring
-    fill(baseColor);
-    circle(0, 0, size);
-    fill(bgColor);
-    circle(0, 0, size * 0.55);
-  } else if (state === 2) {
-    // half circle up
-    fill(baseColor);
-    arc(0, 0, size, size, PI, TWO_PI, PIE);
-  } else if (state === 3) {
-    // half circle right
-    fill(baseColor);
-    arc(0, 0, size, size, -HALF_PI, HALF_PI, PIE);
-  } else if (state === 4) {
-    // quarter top-left
-    fill(baseColor);
-    arc(0, 0, size, size, PI, -HALF_PI, PIE);
-  }
-}
-
-function drawBarModule(tile, size, baseColor, bgColor) {
-  const state = tile.state;
-  const long = size * 0.9;
-  const thick = size * 0.18;
-
-  noStroke();
-  fill(baseColor);
-  rectMode(CENTER);
+// Merged with defaults, or null when nothing differs from the derived sound.
+function cleanTileOverrides(o) {
+  if (!o) return null;
+  const clean = { ...TILE_OVERRIDE_DEFAULTS, ...o };
+  const keys = Object.keys(TILE_OVERRIDE_DEFAULTS);
+  return keys.some((k) => clean[k] !== TILE_OVERRIDE_DEFAULTS[k]) ? clean : null;
+}
 
-  if (state === 4) {
-    // empty
-    return;
+function validateTileOverrides(o) {
+  if (typeof o !== 'object' || Array.isArray(o)) return 'overrides are not an object';
+  if (o.ratio != null && !(parseRatio(String(o.ratio)) > 0)) {
+    return `override ratio "${o.ratio}" is not valid`;
   }
+  if (
+    o.octave != null &&
+    (!Number.isInteger(o.octave) || o.octave < MIN_OVERRIDE_OCTAVE || o.octave > MAX_OVERRIDE_OCTAVE)
+  ) {
+    return `override octave ${o.octave} is out of range`;
+  }
+  if (o.voice != null && !VOICE_TYPES.includes(o.voice)) {
+    return `override voice "${o.voice}" is unknown`;
+  }
+  if (o.mute != null && typeof o.mute !== 'boolean') return 'override mute is not a boolean';
+  if (o.chance != null && !(o.chance >= 0 && o.chance <= 1)) {
+    return `override chance ${o.chance} is out of range`;
+  }
+  if (o.sample != null && (typeof o.sample !== 'string' || !/^[\w-]+$/.test(o.sample))) {
+    return 'override sample id is invalid';
+  }
+  return null;
+}
+
+// Voice a tile plays: its glyph family's unless forced.
+function tileVoice(tile) {
+  if (tile.overrides && tile.overrides.voice) return tile.overrides.voice;
+  const family = glyphFamily(tile.moduleType);
+  return family ? family.voice : VOICE_TYPES[0];
+}
+
+// Whether a ripple crossing fires this tile, given a uniform draw in [0, 1).
+function tileChanceAllows(tile, draw) {
+  return !tile.overrides || draw < tile.overrides.chance;
+}
+
+// --- panels
+
+// Floating DOM panels: the tile inspector sits next to its tile; the FX
+// mixer and palette editor share the top-right corner, so only one of
+// those two is open at a time (see toggleSidePanel()).
+function createPanel(extraCss = '') {
+  const el = document.createElement('div');
+  el.style.cssText =
+    'position:fixed;display:none;padding:10px 12px;background:#fff;color:#111;' +
+    'font:11px system-ui,sans-serif;border:1px solid #111;z-index:10;line-height:2;' +
+    extraCss;
+  return el;
+}
+
+// "label [input] suffix" on its own line of the panel; returns the input.
+function panelRow(el, labelText, input, suffix) {
+  const label = document.createElement('label');
+  label.style.display = 'block';
+  label.appendChild(document.createTextNode(`${labelText} `));
+  label.appendChild(input);
+  if (suffix) label.appendChild(suffix);
+  el.appendChild(label);
+  return input;
+}
+
+function panelIsOpen(panel) {
+  return !!panel && panel.el.style.display !== 'none';
+}
 
-  if (state === 0) {
-    // vertical
-    rect(0, 0, thick, long, thick * 0.3);
-  } else if (state === 1) {
-    // horizontal
-    rect(0, 0, long, thick, thick * 0.3);
-  } else if (state === 2) {
-    // cross
-    rect(0, 0, thick, long, thick * 0.3);
-    rect(0, 0, long, thick, thick * 0.3);
-  } else if (state === 3) {
-    // double vertical
-    rect(-size * 0.18, 0, thick, long * 0.9, thick * 0.3);
-    rect(size * 0.18, 0, thick, long * 0.9, thick * 0.3);
+function panelHasFocus(panel) {
+  return panelIsOpen(panel) && panel.el.contains(document.activeElement);
+}
+
+function toggleSidePanel(panel, fill) {
+  const opening = !panelIsOpen(panel);
+  for (const other of [fxPanel, paletteEditor]) {
+    if (other) other.el.style.display = 'none';
+  }
+  if (opening) {
+    fill();
+    panel.el.style.display = 'block';
   }
 }
 
-function drawBlockModule(tile, size, baseColor, bgColor) {
-  const state = tile.state;
-  const s = size;
-  const r = s * 0.1;
+// --- tile inspector
 
-  noStroke();
-  rectMode(CENTER);
-
-  if (state === 4) {
-    // empty
-    return;
-  }
-
-  if (state === 0) {
-    // full block
-    fill(baseColor);
-    rect(0, 0, s, s, r);
-  } else if (state === 1) {
-    // two stacked blocks
-    fill(baseColor);
-    const h = s * 0.4;
-    rect(0, -h * 0.75, s, h, r);
-    rect(0, h * 0.75, s, h, r);
-  } else if (state === 2) {
-    // L-shape
-    fill(baseColor);
-    const w = s;
-    const h = s * 0.4;
-    rect(0, -s * 0.3, w, h, r);
-    rect(-s * 0.3, 0, h, s, r);
-  } else if (state === 3) {
-    // window: outer rect with inner cutout
-    fill(baseColor);
-    rect(0, 0, s, s, r);
-    fill(bgColor);
-    rect(0, 0, s * 0.55, s * 0.55, r * 0.5);
-  }
-}
-
-function drawDiagonalModule(tile, size, baseColor, bgColor) {
-  const state = tile.state;
-  const len = size * 0.95;
-  const thick = size * 0.16;
+function inspectorHasFocus() {
+  return panelHasFocus(inspector);
+}
+
+function buildTileInspector() {
+  const el = createPanel();
+
+  const title = document.createElement('div');
+  el.appendChild(title);
+
+  const row = (labelText, input, suffix) => {
+    input.addEventListener('input', applyInspectorFields);
+    input.addEventListener('change', applyInspectorFields);
+    return panelRow(el, labelText, input, suffix);
+  };
+
+  const ratio = document.createElement('input');
+  ratio.type = 'text';
+  ratio.size = 8;
+  const octave = document.createElement('input');
+  octave.type = 'number';
+  octave.min = MIN_OVERRIDE_OCTAVE;
+  octave.max = MAX_OVERRIDE_OCTAVE;
+  const voice = document.createElement('select');
+  for (const value of ['', ...VOICE_TYPES]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value || 'glyph';
+    voice.appendChild(option);
+  }
+  const sample = document.createElement('select');
+  const mute = document.createElement('input');
+  mute.type = 'checkbox';
+  const chance = document.createElement('input');
+  chance.type = 'range';
+  chance.min = 0;
+  chance.max = 100;
+  const chanceLabel = document.createElement('span');
+
+  const fields = {
+    title,
+    ratio: row('ratio', ratio),
+    octave: row('octave', octave),
+    voice: row('voice', voice),
+    sample: row('sample', sample),
+    mute: row('mute', mute),
+    chance: row('chance', chance, chanceLabel),
+    chanceLabel
+  };
+
+  const reset = document.createElement('button');
+  reset.textContent = 'reset';
+  reset.addEventListener('click', () => {
+    if (!inspector.tile) return;
+    inspector.tile.overrides = null;
+    fillTileInspector();
+  });
+  const close = document.createElement('button');
+  close.textContent = 'close';
+  close.addEventListener('click', closeTileInspector);
+  el.appendChild(reset);
+  el.appendChild(document.createTextNode(' '));
+  el.appendChild(close);
+
+  el.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeTileInspector();
+  });
+
+  document.body.appendChild(el);
+  return { el, fields, tile: null };
+}
+
+function openTileInspector(tile) {
+  if (!inspector) inspector = buildTileInspector();
+  inspector.tile = tile;
+  fillTileInspector();
+
+  const el = inspector.el;
+  el.style.left = `${constrain(tile.x + tile.w, 8, width - 200)}px`;
+  el.style.top = `${constrain(tile.y, 8, height - 200)}px`;
+  el.style.display = 'block';
+  triggerTileAnimation(tile, true);
+}
+
+function closeTileInspector() {
+  if (!inspector) return;
+  inspector.el.style.display = 'none';
+  inspector.tile = null;
+  if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+}
+
+function fillTileInspector() {
+  const { fields, tile } = inspector;
+  const o = tile.overrides || TILE_OVERRIDE_DEFAULTS;
+  fields.title.textContent = `tile ${tile.col},${tile.row} · ${tile.moduleType} ${glyphStateLabel(tile)}`;
+  fields.ratio.value = o.ratio || '';
+  fields.ratio.placeholder = tuningLabelForTile({ ...tile, overrides: null });
+  fields.ratio.style.borderColor = '';
+  fields.octave.value = o.octave;
+  fields.voice.value = o.voice || '';
+
+  // samples loaded so far; a missing one (e.g. from another browser) is kept
+  const select = fields.sample;
+  select.innerHTML = '';
+  const ids = [...sampleLibrary.keys()];
+  if (o.sample && !sampleLibrary.has(o.sample)) ids.push(o.sample);
+  for (const value of ['', ...ids]) {
+    const option = document.createElement('option');
+    option.value = value;
+    const entry = sampleLibrary.get(value);
+    option.textContent = value ? (entry ? entry.name : `${value} (missing)`) : 'glyph slot';
+    select.appendChild(option);
+  }
+  select.value = o.sample || '';
+  fields.mute.checked = o.mute;
+  fields.chance.value = Math.round(o.chance * 100);
+  fields.chanceLabel.textContent = ` ${Math.round(o.chance * 100)}%`;
+}
+
+function applyInspectorFields() {
+  const { fields, tile } = inspector;
+  if (!tile) return;
+
+  const prev = tile.overrides || TILE_OVERRIDE_DEFAULTS;
+  const ratioText = fields.ratio.value.trim();
+  const ratioOk = ratioText === '' || parseRatio(ratioText) > 0;
+  fields.ratio.style.borderColor = ratioOk ? '' : '#d12b2b';
+
+  const octave = parseInt(fields.octave.value, 10);
+  const chance = constrain(parseInt(fields.chance.value, 10) / 100, 0, 1);
+  fields.chanceLabel.textContent = ` ${Math.round(chance * 100)}%`;
+
+  tile.overrides = cleanTileOverrides({
+    ratio: ratioOk ? ratioText || null : prev.ratio,
+    octave: Number.isInteger(octave)
+      ? constrain(octave, MIN_OVERRIDE_OCTAVE, MAX_OVERRIDE_OCTAVE)
+      : prev.octave,
+    voice: fields.voice.value || null,
+    sample: fields.sample.value || null,
+    mute: !!fields.mute.checked,
+    chance: Number.isFinite(chance) ? chance : prev.chance
+  });
+}
+
+// -------------------- module drawing --------------------
+
+// Glyphs are drawn through a "pen" so the same geometry goes to the canvas
+// and to SVG export. Coordinates are relative to the tile center (rects as
+// with rectMode(CENTER), optionally rotated about the tile center; polys as
+// [[x, y], ...]); hole = cut out of the glyph (bg fill on canvas, a reversed
+// subpath in SVG).
+
+function canvasGlyphPen(baseColor, bgColor) {
+  return {
+    circle(x, y, d, hole = false) {
+      fill(hole ? bgColor : baseColor);
+      circle(x, y, d);
+    },
+    rect(x, y, w, h, r, hole = false, angle = 0) {
+      fill(hole ? bgColor : baseColor);
+      rectMode(CENTER);
+      if (angle === 0) {
+        rect(x, y, w, h, r);
+        return;
+      }
+      push();
+      rotate(angle);
+      rect(x, y, w, h, r);
+      pop();
+    },
+    pie(d, start, stop, x = 0, y = 0) {
+      fill(baseColor);
+      arc(x, y, d, d, start, stop, PIE);
+    },
+    poly(points, hole = false) {
+      fill(hole ? bgColor : baseColor);
+      beginShape();
+      for (const [x, y] of points) vertex(x, y);
+      endShape(CLOSE);
+    },
+    // annular sector around (x, y): radius r ± thick / 2
+    band(x, y, r, thick, start, stop) {
+      fill(baseColor);
+      const steps = 24;
+      beginShape();
+      for (let i = 0; i <= steps; i++) {
+        const a = lerp(start, stop, i / steps);
+        vertex(x + (r + thick / 2) * cos(a), y + (r + thick / 2) * sin(a));
+      }
+      for (let i = steps; i >= 0; i--) {
+        const a = lerp(start, stop, i / steps);
+        vertex(x + (r - thick / 2) * cos(a), y + (r - thick / 2) * sin(a));
+      }
+      endShape(CLOSE);
+    }
+  };
+}
+
+// Collects one compound path (nonzero fill) in tile-local coordinates.
+function svgGlyphPen() {
+  const parts = [];
+  const n = (v) => +v.toFixed(2);
+  return {
+    parts,
+    circle(x, y, d, hole = false) {
+      const r = d / 2;
+      const sweep = hole ? 0 : 1;
+      parts.push(
+        `M${n(x + r)} ${n(y)}A${n(r)} ${n(r)} 0 1 ${sweep} ${n(x - r)} ${n(y)}` +
+          `A${n(r)} ${n(r)} 0 1 ${sweep} ${n(x + r)} ${n(y)}Z`
+      );
+    },
+    rect(x, y, w, h, r, hole = false, angle = 0) {
+      r = min(r, w / 2, h / 2);
+      const c = Math.cos(angle);
+      const s = Math.sin(angle);
+      const pt = (px, py) => `${n((x + px) * c - (y + py) * s)} ${n((x + px) * s + (y + py) * c)}`;
+      const hw = w / 2;
+      const hh = h / 2;
+      // clockwise from the top edge; each straight edge is followed by a corner
+      const p = [
+        pt(-hw + r, -hh), pt(hw - r, -hh), pt(hw, -hh + r), pt(hw, hh - r),
+        pt(hw - r, hh), pt(-hw + r, hh), pt(-hw, hh - r), pt(-hw, -hh + r)
+      ];
+      const a = `A${n(r)} ${n(r)} 0 0 ${hole ? 0 : 1} `;
+      if (!hole) {
+        parts.push(`M${p[0]}L${p[1]}${a}${p[2]}L${p[3]}${a}${p[4]}L${p[5]}${a}${p[6]}L${p[7]}${a}${p[0]}Z`);
+      } else {
+        parts.push(`M${p[0]}${a}${p[7]}L${p[6]}${a}${p[5]}L${p[4]}${a}${p[3]}L${p[2]}${a}${p[1]}L${p[0]}Z`);
+      }
+    },
+    pie(d, start, stop, x = 0, y = 0) {
+      // p5 normalizes the angles the same way
+      if (stop < start) stop += TWO_PI;
+      const r = d / 2;
+      const large = stop - start > PI ? 1 : 0;
+      parts.push(
+        `M${n(x)} ${n(y)}L${n(x + r * Math.cos(start))} ${n(y + r * Math.sin(start))}` +
+          `A${n(r)} ${n(r)} 0 ${large} 1 ${n(x + r * Math.cos(stop))} ${n(y + r * Math.sin(stop))}Z`
+      );
+    },
+    poly(points, hole = false) {
+      // clockwise on screen for fills, counter-clockwise for holes
+      let area = 0;
+      for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+      }
+      const ordered = area > 0 !== hole ? points : [...points].reverse();
+      parts.push(`M${ordered.map(([x, y]) => `${n(x)} ${n(y)}`).join('L')}Z`);
+    },
+    band(x, y, r, thick, start, stop) {
+      const ro = r + thick / 2;
+      const ri = r - thick / 2;
+      const at = (rad, a) => `${n(x + rad * Math.cos(a))} ${n(y + rad * Math.sin(a))}`;
+      const large = stop - start > PI ? 1 : 0;
+      parts.push(
+        `M${at(ro, start)}A${n(ro)} ${n(ro)} 0 ${large} 1 ${at(ro, stop)}` +
+          `L${at(ri, stop)}A${n(ri)} ${n(ri)} 0 ${large} 0 ${at(ri, start)}Z`
+      );
+    }
+  };
+}
+
+function drawModuleGlyph(tile, size, pen) {
+  const family = glyphFamily(tile.moduleType);
+  const state = family && family.states[tile.state];
+  if (state && state.draw) state.draw(pen, size);
+}
+
+// -------------------- glyph families --------------------
+
+// Each glyph family is one definition: its states (label + draw, null draw =
+// empty; links = the edge midpoints each state joins, see tileLinks()),
+// which state is the empty one, the synth voice it plays by default
+// (see SYNTH_VOICES) and whether seeded layouts deal it. Seeded families
+// are banded across the columns in this order; the rest are reached with
+// Alt+click. Sizes are relative to the glyph size; see canvasGlyphPen().
+// id is the family's byte in shared links (see encodeURLState()): give a new
+// family the next unused id and never renumber or reuse one, whatever the
+// order here, or old links decode to the wrong glyphs.
+const GLYPH_FAMILIES = [
+  {
+    name: 'circle',
+    id: 0,
+    voice: 'circle',
+    seeded: true,
+    empty: 5,
+    states: [
+      { label: 'full', draw: (pen, s) => pen.circle(0, 0, s) },
+      {
+        label: 'ring',
+        links: ['NW', 'SE'],
+        draw: (pen, s) => {
+          pen.circle(0, 0, s);
+          pen.circle(0, 0, s * 0.55, true);
+        }
+      },
+      { label: 'half up', links: ['EW'], draw: (pen, s) => pen.pie(s, PI, TWO_PI) },
+      { label: 'half right', links: ['NS'], draw: (pen, s) => pen.pie(s, -HALF_PI, HALF_PI) },
+      { label: 'quarter', links: ['NW'], draw: (pen, s) => pen.pie(s, PI, -HALF_PI) },
+      { label: 'empty', draw: null }
+    ]
+  },
+  {
+    name: 'bar',
+    id: 1,
+    voice: 'bar',
+    seeded: true,
+    empty: 4,
+    states: [
+      {
+        label: 'vertical',
+        links: ['NS'],
+        draw: (pen, s) => pen.rect(0, 0, s * 0.18, s * 0.9, s * 0.054)
+      },
+      {
+        label: 'horizontal',
+        links: ['EW'],
+        draw: (pen, s) => pen.rect(0, 0, s * 0.9, s * 0.18, s * 0.054)
+      },
+      {
+        label: 'cross',
+        links: ['NS', 'EW'],
+        draw: (pen, s) => {
+          pen.rect(0, 0, s * 0.18, s * 0.9, s * 0.054);
+          pen.rect(0, 0, s * 0.9, s * 0.18, s * 0.054);
+        }
+      },
+      {
+        label: 'double vertical',
+        links: ['NS'],
+        draw: (pen, s) => {
+          pen.rect(-s * 0.18, 0, s * 0.18, s * 0.81, s * 0.054);
+          pen.rect(s * 0.18, 0, s * 0.18, s * 0.81, s * 0.054);
+        }
+      },
+      { label: 'empty', draw: null }
+    ]
+  },
+  {
+    name: 'block',
+    id: 2,
+    voice: 'block',
+    seeded: true,
+    empty: 4,
+    states: [
+      { label: 'full', links: ['NS', 'EW'], draw: (pen, s) => pen.rect(0, 0, s, s, s * 0.1) },
+      {
+        label: 'two stacks',
+        links: ['EW'],
+        draw: (pen, s) => {
+          pen.rect(0, -s * 0.3, s, s * 0.4, s * 0.1);
+          pen.rect(0, s * 0.3, s, s * 0.4, s * 0.1);
+        }
+      },
+      {
+        label: 'L',
+        links: ['NW'],
+        draw: (pen, s) => {
+          pen.rect(0, -s * 0.3, s, s * 0.4, s * 0.1);
+          pen.rect(-s * 0.3, 0, s * 0.4, s, s * 0.1);
+        }
+      },
+      {
+        label: 'window',
+        links: ['NS', 'EW'],
+        draw: (pen, s) => {
+          pen.rect(0, 0, s, s, s * 0.1);
+          pen.rect(0, 0, s * 0.55, s * 0.55, s * 0.05, true);
+        }
+      },
+      { label: 'empty', draw: null }
+    ]
+  },
+  {
+    name: 'diagonal',
+    id: 3,
+    voice: 'diagonal',
+    seeded: true,
+    empty: 4,
+    states: [
+      {
+        label: '/',
+        links: ['NW', 'SE'],
+        draw: (pen, s) => pen.rect(0, 0, s * 0.95, s * 0.16, s * 0.064, false, -PI / 4)
+      },
+      {
+        label: '\\',
+        links: ['NE', 'SW'],
+        draw: (pen, s) => pen.rect(0, 0, s * 0.95, s * 0.16, s * 0.064, false, PI / 4)
+      },
+      {
+        label: 'X',
+        links: ['NS', 'EW'],
+        draw: (pen, s) => {
+          pen.rect(0, 0, s * 0.95, s * 0.16, s * 0.064, false, -PI / 4);
+          pen.rect(0, 0, s * 0.95, s * 0.16, s * 0.064, false, PI / 4);
+        }
+      },
+      {
+        label: 'corner blocks',
+        draw: (pen, s) => {
+          const half = s * 0.45;
+          pen.rect(-half * 0.6, -half * 0.6, half, half * 0.45, s * 0.064);
+          pen.rect(half * 0.6, half * 0.6, half, half * 0.45, s * 0.064);
+        }
+      },
+      { label: 'empty', draw: null }
+    ]
+  },
+  {
+    name: 'triangle',
+    id: 4,
+    voice: 'diagonal',
+    seeded: false,
+    empty: 4,
+    states: [
+      { label: 'up', draw: (pen, s) => pen.poly([[0, -s / 2], [s / 2, s / 2], [-s / 2, s / 2]]) },
+      {
+        label: 'down',
+        draw: (pen, s) => pen.poly([[-s / 2, -s / 2], [s / 2, -s / 2], [0, s / 2]])
+      },
+      {
+        label: 'corner SW',
+        links: ['SW'],
+        draw: (pen, s) => pen.poly([[-s / 2, -s / 2], [s / 2, s / 2], [-s / 2, s / 2]])
+      },
+      {
+        label: 'corner NE',
+        links: ['NE'],
+        draw: (pen, s) => pen.poly([[-s / 2, -s / 2], [s / 2, -s / 2], [s / 2, s / 2]])
+      },
+      { label: 'empty', draw: null }
+    ]
+  },
+  {
+    // quarter-circle Truchet tiles: bands from edge midpoint to edge midpoint
+    name: 'truchet',
+    id: 5,
+    voice: 'circle',
+    seeded: false,
+    empty: 3,
+    states: [
+      {
+        label: 'arcs NW/SE',
+        links: ['NW', 'SE'],
+        draw: (pen, s) => {
+          pen.band(-s / 2, -s / 2, s / 2, s * 0.16, 0, HALF_PI);
+          pen.band(s / 2, s / 2, s / 2, s * 0.16, PI, PI + HALF_PI);
+        }
+      },
+      {
+        label: 'arcs NE/SW',
+        links: ['NE', 'SW'],
+        draw: (pen, s) => {
+          pen.band(s / 2, -s / 2, s / 2, s * 0.16, HALF_PI, PI);
+          pen.band(-s / 2, s / 2, s / 2, s * 0.16, -HALF_PI, 0);
+        }
+      },
+      {
+        label: 'fan NW',
+        links: ['NW'],
+        draw: (pen, s) => pen.pie(s * 2, 0, HALF_PI, -s / 2, -s / 2)
+      },
+      { label: 'empty', draw: null }
+    ]
+  },
+  {
+    name: 'dots',
+    id: 6,
+    voice: 'bar',
+    seeded: false,
+    empty: 4,
+    states: [
+      { label: 'one', draw: (pen, s) => pen.circle(0, 0, s * 0.35) },
+      {
+        label: 'four',
+        draw: (pen, s) => {
+          for (const [i, j] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+            pen.circle(i * s * 0.22, j * s * 0.22, s * 0.26);
+          }
+        }
+      },
+      {
+        label: 'nine',
+        draw: (pen, s) => {
+          for (let i = -1; i <= 1; i++) {
+            for (let j = -1; j <= 1; j++) pen.circle(i * s * 0.33, j * s * 0.33, s * 0.18);
+          }
+        }
+      },
+      {
+        label: 'diagonal',
+        links: ['NW', 'SE'],
+        draw: (pen, s) => {
+          for (let i = -1; i <= 1; i++) pen.circle(i * s * 0.33, i * s * 0.33, s * 0.22);
+        }
+      },
+      { label: 'empty', draw: null }
+    ]
+  },
+  {
+    // geometric letterforms built from bars (stroke w, box s × s)
+    name: 'letter',
+    id: 7,
+    voice: 'block',
+    seeded: false,
+    empty: 5,
+    states: [
+      {
+        label: 'E',
+        draw: (pen, s) => {
+          const w = s * 0.2;
+          pen.rect(-s / 2 + w / 2, 0, w, s, w * 0.15);
+          pen.rect(0, -s / 2 + w / 2, s, w, w * 0.15);
+          pen.rect(-s * 0.075, 0, s * 0.85, w, w * 0.15);
+          pen.rect(0, s / 2 - w / 2, s, w, w * 0.15);
+        }
+      },
+      {
+        label: 'F',
+        draw: (pen, s) => {
+          const w = s * 0.2;
+          pen.rect(-s / 2 + w / 2, 0, w, s, w * 0.15);
+          pen.rect(0, -s / 2 + w / 2, s, w, w * 0.15);
+          pen.rect(-s * 0.075, 0, s * 0.85, w, w * 0.15);
+        }
+      },
+      {
+        label: 'H',
+        links: ['NS', 'EW'],
+        draw: (pen, s) => {
+          const w = s * 0.2;
+          pen.rect(-s / 2 + w / 2, 0, w, s, w * 0.15);
+          pen.rect(s / 2 - w / 2, 0, w, s, w * 0.15);
+          pen.rect(0, 0, s, w, w * 0.15);
+        }
+      },
+      {
+        label: 'T',
+        links: ['EW'],
+        draw: (pen, s) => {
+          const w = s * 0.2;
+          pen.rect(0, -s / 2 + w / 2, s, w, w * 0.15);
+          pen.rect(0, 0, w, s, w * 0.15);
+        }
+      },
+      {
+        label: 'Z',
+        links: ['EW'],
+        draw: (pen, s) => {
+          const w = s * 0.2;
+          pen.rect(0, -s / 2 + w / 2, s, w, w * 0.15);
+          pen.rect(0, s / 2 - w / 2, s, w, w * 0.15);
+          pen.poly([
+            [s / 2 - w * 1.2, -s / 2 + w],
+            [s / 2, -s / 2 + w],
+            [-s / 2 + w * 1.2, s / 2 - w],
+            [-s / 2, s / 2 - w]
+          ]);
+        }
+      },
+      { label: 'empty', draw: null }
+    ]
+  }
+];
+const GLYPH_FAMILY_BY_NAME = new Map(GLYPH_FAMILIES.map((f) => [f.name, f]));
+const GLYPH_FAMILY_BY_ID = new Map(GLYPH_FAMILIES.map((f) => [f.id, f]));
+const SEEDED_GLYPH_FAMILIES = GLYPH_FAMILIES.filter((f) => f.seeded).map((f) => f.name);
+
+function glyphFamily(type) {
+  return GLYPH_FAMILY_BY_NAME.get(type) || null;
+}
+
+function glyphStateLabel(tile) {
+  const family = glyphFamily(tile.moduleType);
+  const state = family && family.states[tile.state];
+  return state ? state.label : '?';
+}
+
+// -------------------- connectivity --------------------
+
+// Links are pairs of edge midpoints ('NS', 'NW', ...). Opposite edges join
+// in a straight line, neighbouring edges bend around the corner they share,
+// so a link ending on an edge meets the link its neighbour has there.
+
+function tileLinks(tile) {
+  const family = glyphFamily(tile.moduleType);
+  const state = family && family.states[tile.state];
+  return (state && state.links) || [];
+}
+
+// Tiles are kept in row-major order; the scan is only a fallback.
+function tileAtCell(col, row) {
+  if (col < 0 || row < 0 || col >= gridCols || row >= gridRows) return null;
+  const t = tiles[row * gridCols + col];
+  return t && t.col === col && t.row === row ? t : findTileAtGridIndex(col, row);
+}
+
+function neighbourAcross(tile, edge) {
+  const [dx, dy] = LINK_EDGE_STEPS[edge];
+  return tileAtCell(tile.col + dx, tile.row + dy);
+}
+
+function linkEndJoined(tile, edge) {
+  const other = neighbourAcross(tile, edge);
+  const back = OPPOSITE_EDGE[edge];
+  return !!other && tileLinks(other).some((link) => link.includes(back));
+}
+
+// SVG path data for one link in a cell of half-size hw × hh, centered on 0.
+function linkPathData(link, hw, hh, style) {
+  const point = (edge) => [LINK_EDGE_STEPS[edge][0] * hw, LINK_EDGE_STEPS[edge][1] * hh];
+  const [a, b] = [point(link[0]), point(link[1])];
+  const n = (v) => +v.toFixed(2);
+  const from = `M${n(a[0])} ${n(a[1])}`;
+
+  if (link[1] === OPPOSITE_EDGE[link[0]]) return `${from}L${n(b[0])} ${n(b[1])}`;
+  if (style === 'lines') return `${from}L0 0L${n(b[0])} ${n(b[1])}`;
+
+  // quarter ellipse around the shared corner; sweep by the turn direction
+  const sweep = a[0] * b[1] - a[1] * b[0] > 0 ? 1 : 0;
+  return `${from}A${n(hw)} ${n(hh)} 0 0 ${sweep} ${n(b[0])} ${n(b[1])}`;
+}
+
+function linkStrokeWeight(w, h, style) {
+  const cell = min(w, h);
+  if (style === 'lines') return max(1.5, cell * 0.05);
+  return cell * (style === 'pipes' ? 0.24 : 0.14) * shapeScale;
+}
+
+// Links whose ends both meet a neighbour are drawn solid, dangling ones faded.
+function linkOpacity(tile, link) {
+  return linkEndJoined(tile, link[0]) && linkEndJoined(tile, link[1]) ? 1 : 0.4;
+}
+
+// Drawn in the tile's translated frame; swell widens lines with the ripple.
+function drawTileLinks(tile, links, baseColor, bgColor, swell) {
+  const style = CONNECT_STYLES[connectStyle];
+  const weight = linkStrokeWeight(tile.w, tile.h, style) * swell;
+  const ctx = drawingContext;
 
+  noFill();
+  strokeCap(style === 'lines' ? ROUND : SQUARE);
+  for (const link of links) {
+    const path = new Path2D(linkPathData(link, tile.w / 2, tile.h / 2, style));
+    const c = color(baseColor);
+    c.setAlpha(255 * linkOpacity(tile, link));
+    stroke(c);
+    strokeWeight(weight);
+    ctx.stroke(path);
+    if (style === 'pipes') {
+      // hollow bore
+      stroke(bgColor);
+      strokeWeight(weight * 0.45);
+      ctx.stroke(path);
+    }
+  }
   noStroke();
-  rectMode(CENTER);
+}
+
+// SVG elements for a tile's links, centered on (cx, cy) in a w × h cell.
+function svgTileLinks(tile, links, cx, cy, w, h, fillColor, bgColor) {
+  const style = CONNECT_STYLES[connectStyle];
+  const weight = linkStrokeWeight(w, h, style);
+  const cap = style === 'lines' ? 'round' : 'butt';
+  const out = [];
+  for (const link of links) {
+    const d = linkPathData(link, w / 2, h / 2, style);
+    const at = `transform="translate(${+cx.toFixed(2)} ${+cy.toFixed(2)})" fill="none"`;
+    const opacity = linkOpacity(tile, link);
+    out.push(
+      `<path ${at} stroke="${fillColor}" stroke-opacity="${opacity}" ` +
+        `stroke-width="${+weight.toFixed(2)}" stroke-linecap="${cap}" d="${d}"/>`
+    );
+    if (style === 'pipes') {
+      out.push(
+        `<path ${at} stroke="${bgColor}" stroke-width="${+(weight * 0.45).toFixed(2)}" ` +
+          `stroke-linecap="${cap}" d="${d}"/>`
+      );
+    }
+  }
+  return out;
+}
+
+function cycleConnectStyle() {
+  connectStyle = (connectStyle + 1) % CONNECT_STYLES.length;
+  showNotice(`Connections: ${CONNECT_STYLES[connectStyle]}`);
+}
+
+function toggleConnectRouting() {
+  connectRouting = !connectRouting;
+  computeRippleDistances();
+  showNotice(`Ripple ${connectRouting ? 'follows connections' : 'spreads by distance'}`);
+}
+
+// Tile edits reroute the network; the new distances take over at the next
+// cycle so the running wave isn't cut short.
+function markNetworkChanged() {
+  if (connectRouting) connectNetworkDirty = true;
+}
+
+// Steps along links from an emitter's tile (one per tile crossed), following
+// each path through a tile from the edge it entered by. Null when the
+// emitter's tile has no links; unreachable tiles are Infinity.
+function networkDistanceField(emitter) {
+  const start = tileAtCell(emitter.col, emitter.row);
+  if (!start || tileLinks(start).length === 0) return null;
+
+  const indexOf = (t) => t.row * gridCols + t.col;
+  const out = new Array(tiles.length).fill(Infinity);
+  const entered = new Set(); // "tileIndex:edge"
+  out[indexOf(start)] = 0;
+
+  const queue = [];
+  for (const link of tileLinks(start)) {
+    queue.push({ tile: start, edge: link[0], d: 0 }, { tile: start, edge: link[1], d: 0 });
+  }
+
+  for (let q = 0; q < queue.length; q++) {
+    const { tile, edge, d } = queue[q];
+    const next = neighbourAcross(tile, edge);
+    if (!next) continue;
+    const entry = OPPOSITE_EDGE[edge];
+    const key = `${indexOf(next)}:${entry}`;
+    if (entered.has(key)) continue;
+
+    const paths = tileLinks(next).filter((link) => link.includes(entry));
+    if (paths.length === 0) continue;
+    entered.add(key);
+    out[indexOf(next)] = min(out[indexOf(next)], d + 1);
+    for (const link of paths) {
+      queue.push({ tile: next, edge: link[0] === entry ? link[1] : link[0], d: d + 1 });
+    }
+  }
+
+  // fields are in tiles order
+  return tiles.map((t) => out[indexOf(t)]);
+}
+
+function serializeConnect() {
+  return { style: CONNECT_STYLES[connectStyle], routing: connectRouting };
+}
+
+// Connection mode stored in a scene, snapshot or link (optional).
+function applyStoredConnect(record) {
+  if (record.connect == null) return;
+  connectStyle = CONNECT_STYLES.indexOf(record.connect.style);
+  connectRouting = record.connect.routing;
+}
+
+function validateStoredConnect(record) {
+  const c = record.connect;
+  if (c == null) return null;
+  if (typeof c !== 'object' || !CONNECT_STYLES.includes(c.style)) {
+    return 'unknown connection style';
+  }
+  if (typeof c.routing !== 'boolean') return 'connection routing is not a boolean';
+  return null;
+}
+
+// -------------------- evolution --------------------
+
+// Cellular-automaton mode: on every ripple cycle (or beat) each tile looks at
+// its eight neighbours and all tiles update at once. "Live" = not the empty
+// state. Randomness (which glyph a birth gets, ties) is seeded from
+// currentSeed and the generation, so a seed always evolves the same way.
+
+function isTileLive(tile) {
+  return tile.state !== emptyStateIndex(tile.moduleType);
+}
+
+function mooreNeighbours(tile) {
+  const out = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      const t = tileAtCell(tile.col + dx, tile.row + dy);
+      if (t) out.push(t);
+    }
+  }
+  return out;
+}
+
+// Most common family among tiles (ties settled by rand), or null.
+function majorityFamily(list, rand) {
+  const counts = new Map();
+  for (const t of list) counts.set(t.moduleType, (counts.get(t.moduleType) || 0) + 1);
+  const best = max([0, ...counts.values()]);
+  if (best === 0) return null;
+  const tied = GLYPH_FAMILIES.map((f) => f.name).filter((name) => counts.get(name) === best);
+  return tied[floor(rand() * tied.length)];
+}
+
+// A live state of the family, picked by rand.
+function bornGlyph(type, rand) {
+  const family = glyphFamily(type);
+  let state = floor(rand() * (family.states.length - 1));
+  if (state >= family.empty) state++;
+  return { moduleType: type, state };
+}
+
+// Each rule returns the tile's next { moduleType, state }, or null to keep it.
+const EVOLUTION_RULE_FNS = {
+  // Conway's B3/S23; newborns take their neighbours' majority family
+  life(tile, neighbours, rand) {
+    const live = neighbours.filter(isTileLive);
+    if (!isTileLive(tile)) {
+      return live.length === 3 ? bornGlyph(majorityFamily(live, rand), rand) : null;
+    }
+    if (live.length < 2 || live.length > 3) {
+      return { moduleType: tile.moduleType, state: emptyStateIndex(tile.moduleType) };
+    }
+    return null;
+  },
+
+  // Adopt the glyph (family + state, all empties alike) most neighbours show
+  majority(tile, neighbours) {
+    const key = (t) => (isTileLive(t) ? `${t.moduleType}:${t.state}` : 'empty');
+    const counts = new Map();
+    for (const t of neighbours) counts.set(key(t), (counts.get(key(t)) || 0) + 1);
+
+    let best = null;
+    let bestCount = 0;
+    let tie = false;
+    for (const [k, n] of counts) {
+      if (n > bestCount) {
+        best = k;
+        bestCount = n;
+        tie = false;
+      } else if (n === bestCount) {
+        tie = true;
+      }
+    }
+    if (tie || bestCount < EVOLUTION_MAJORITY_MIN || best === key(tile)) return null;
+    if (best === 'empty') {
+      return { moduleType: tile.moduleType, state: emptyStateIndex(tile.moduleType) };
+    }
+    const [moduleType, state] = best.split(':');
+    return { moduleType, state: parseInt(state, 10) };
+  },
+
+  table(tile, neighbours, rand) {
+    const live = neighbours.filter(isTileLive);
+    const from = isTileLive(tile) ? tile.moduleType : 'empty';
+    const rule = evolutionTable.find(
+      (r) =>
+        (r.from === 'any' || r.from === from) &&
+        live.length >= r.min &&
+        live.length <= r.max
+    );
+    if (!rule || rule.to === 'keep') return null;
+    if (rule.to === 'empty') {
+      return { moduleType: tile.moduleType, state: emptyStateIndex(tile.moduleType) };
+    }
+    if (rule.to === 'next') {
+      return { moduleType: tile.moduleType, state: (tile.state + 1) % tile.stateCount };
+    }
+    const type = rule.to === 'majority' ? majorityFamily(live, rand) : rule.to;
+    if (!type) return null;
+    return type === tile.moduleType && isTileLive(tile) ? null : bornGlyph(type, rand);
+  }
+};
+
+// Rule table text: "from counts > to" rules separated by ";" or new lines,
+// first match wins. from: a glyph family, "empty" or "any"; counts: live
+// neighbours as "3" or "4-8"; to: a family, "empty", "next" (next state),
+// "majority" (neighbours' family) or "keep". Returns rules or an error string.
+function parseEvolutionTable(text) {
+  const families = GLYPH_FAMILIES.map((f) => f.name);
+  const rules = [];
+  for (const raw of text.split(/[;\n]/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const m = /^(\S+)\s+(\d)(?:\s*-\s*(\d))?\s*>\s*(\S+)$/.exec(line);
+    if (!m) return `can't read "${line}"`;
+    const [, from, lo, hi, to] = m;
+    if (!['any', 'empty', ...families].includes(from)) return `unknown glyph "${from}"`;
+    if (!['empty', 'next', 'majority', 'keep', ...families].includes(to)) {
+      return `unknown result "${to}"`;
+    }
+    const min = parseInt(lo, 10);
+    const max = hi != null ? parseInt(hi, 10) : min;
+    if (min > max || max > 8) return `neighbour count in "${line}" is out of range`;
+    rules.push({ from, min, max, to });
+  }
+  return rules.length > 0 ? rules : 'the table is empty';
+}
+
+function evolveGrid() {
+  const rule = EVOLUTION_RULE_FNS[EVOLUTION_RULES[evolutionRuleIndex]];
+  if (!rule) return;
+
+  const rand = seededRandom(currentSeed + (evolutionGeneration + 1) * 7919);
+  const changes = [];
+  for (const tile of tiles) {
+    const next = rule(tile, mooreNeighbours(tile), rand);
+    if (next && (next.moduleType !== tile.moduleType || next.state !== tile.state)) {
+      changes.push({ tile, next });
+    }
+  }
 
-  if (state === 4) {
-    // empty
+  // A generation that changes nothing isn't worth an undo step
+  if (changes.length > 0) pushEvolutionHistory();
+  evolutionGeneration++;
+  if (changes.length === 0) return;
+
+  for (const { tile, next } of changes) {
+    tile.moduleType = next.moduleType;
+    tile.stateCount = moduleStateCount(tile.moduleType);
+    tile.state = next.state;
+    triggerTileAnimation(tile);
+  }
+  markNetworkChanged();
+}
+
+// Beat-timed evolution counts beats on the frame clock.
+function updateEvolution(dt) {
+  if (evolutionRuleIndex === 0 || EVOLUTION_TIMINGS[evolutionTimingIndex] !== 'beat') return;
+  const before = Math.floor(evolutionBeatPos);
+  evolutionBeatPos += (dt * bpm) / 60;
+  if (Math.floor(evolutionBeatPos) > before) evolveGrid();
+}
+
+function onEvolutionCycle() {
+  if (evolutionRuleIndex > 0 && EVOLUTION_TIMINGS[evolutionTimingIndex] === 'cycle') {
+    evolveGrid();
+  }
+}
+
+function pushEvolutionHistory() {
+  evolutionHistory.push({
+    generation: evolutionGeneration,
+    cols: gridCols,
+    rows: gridRows,
+    tiles: tiles.map((t) => ({ moduleType: t.moduleType, state: t.state }))
+  });
+  if (evolutionHistory.length > EVOLUTION_UNDO_DEPTH) evolutionHistory.shift();
+}
+
+function undoEvolution() {
+  const entry = evolutionHistory.pop();
+  if (!entry || entry.cols !== gridCols || entry.rows !== gridRows) {
+    evolutionHistory = [];
+    showNotice('Nothing to undo.');
     return;
   }
+  for (let i = 0; i < tiles.length; i++) {
+    const tile = tiles[i];
+    tile.moduleType = entry.tiles[i].moduleType;
+    tile.stateCount = moduleStateCount(tile.moduleType);
+    tile.state = entry.tiles[i].state;
+    triggerTileAnimation(tile);
+  }
+  evolutionGeneration = entry.generation;
+  markNetworkChanged();
+  showNotice(`Back to generation ${evolutionGeneration}`);
+}
 
-  fill(baseColor);
+function resetEvolution() {
+  evolutionGeneration = 0;
+  evolutionHistory = [];
+}
 
-  if (state === 0) {
-    // /
-    push();
-    rotate(-PI / 4);
-    rect(0, 0, len, thick, thick * 0.4);
-    pop();
-  } else if (state === 1) {
-    // \
-    push();
-    rotate(PI / 4);
-    rect(0, 0, len, thick, thick * 0.4);
-    pop();
-  } else if (state === 2) {
-    // X
-    push();
-    rotate(-PI / 4);
-    rect(0, 0, len, thick, thick * 0.4);
-    rotate(PI / 2);
-    rect(0, 0, len, thick, thick * 0.4);
-    pop();
-  } else if (state === 3) {
-    // diagonal blocks in corners
-    const half = size * 0.45;
-    rect(-half * 0.6, -half * 0.6, half, half * 0.45, thick * 0.4);
-    rect(half * 0.6, half * 0.6, half, half * 0.45, thick * 0.4);
+function cycleEvolutionRule() {
+  evolutionRuleIndex = (evolutionRuleIndex + 1) % EVOLUTION_RULES.length;
+  showNotice(`Evolution: ${EVOLUTION_RULES[evolutionRuleIndex]}`);
+}
+
+function cycleEvolutionTiming() {
+  evolutionTimingIndex = (evolutionTimingIndex + 1) % EVOLUTION_TIMINGS.length;
+  evolutionBeatPos = 0;
+  showNotice(`Evolve every ${EVOLUTION_TIMINGS[evolutionTimingIndex]}`);
+}
+
+function promptEvolutionTable() {
+  const input = window.prompt
+    ? window.prompt(
+        'Rule table — "from neighbours > to", first match wins ' +
+          '(from: family / empty / any; to: family / empty / next / majority / keep)',
+        evolutionTableText
+      )
+    : null;
+  if (input == null) return;
+
+  const rules = parseEvolutionTable(input);
+  if (typeof rules === 'string') {
+    showNotice(`Rule table: ${rules}.`, 'error');
+    return;
+  }
+  evolutionTableText = input.trim();
+  evolutionTable = rules;
+  saveEvolutionTable();
+  evolutionRuleIndex = EVOLUTION_RULES.indexOf('table');
+  showNotice(`Evolution: table (${rules.length} rules)`);
+}
+
+// Stops evolving and keeps the current generation in a scene slot.
+function freezeEvolution() {
+  const input = window.prompt
+    ? window.prompt(`Freeze generation ${evolutionGeneration} into scene (Q/W/E/R)`, 'Q')
+    : null;
+  if (input == null) return;
+  const index = SCENE_KEYS.indexOf(input.trim().toUpperCase());
+  if (index < 0) {
+    showNotice('Scene slot must be Q, W, E or R.', 'error');
+    return;
+  }
+  evolutionRuleIndex = 0;
+  storeScene(index);
+  showNotice(`Froze generation ${evolutionGeneration} into scene ${SCENE_KEYS[index]}`);
+}
+
+function evolutionChromeLabel() {
+  if (evolutionRuleIndex === 0) return '';
+  return (
+    `evolve ${EVOLUTION_RULES[evolutionRuleIndex]} / ` +
+    `${EVOLUTION_TIMINGS[evolutionTimingIndex]} · gen ${evolutionGeneration}`
+  );
+}
+
+function saveEvolutionTable() {
+  try {
+    window.localStorage.setItem(EVOLUTION_TABLE_STORAGE_KEY, evolutionTableText);
+  } catch (e) {
+    console.warn('Could not persist the rule table to localStorage.', e);
+  }
+}
+
+function loadEvolutionTable() {
+  try {
+    const stored = window.localStorage.getItem(EVOLUTION_TABLE_STORAGE_KEY);
+    const rules = stored ? parseEvolutionTable(stored) : null;
+    if (rules && typeof rules !== 'string') {
+      evolutionTableText = stored;
+      evolutionTable = rules;
+    }
+  } catch (e) {
+    console.warn('Stored rule table ignored.', e);
   }
 }
 
@@ -655,10 +2682,18 @@ function mouseReleased() {
   const tile = findTileAt(mouseX, mouseY);
   const pressDuration = millis() - pointerDownTime;
 
-  if (tile && tile === pointerDownTile && pressDuration >= LONG_PRESS_MS) {
-    // Long press: set new origin for ripple
-    originTile = tile;
-    computeRippleDistances();
+  if (tile && tile === pointerDownTile && (keyIsDown(CONTROL) || keyIsDown(91) || keyIsDown(224))) {
+    // Ctrl / Cmd+click: inspect instead of editing the glyph
+    openTileInspector(tile);
+  } else if (tile && tile === pointerDownTile && pressDuration >= LONG_PRESS_MS) {
+    // Long press: move / add / remove ripple emitters
+    if (keyIsDown(SHIFT)) {
+      addEmitterAt(tile);
+    } else if (keyIsDown(ALT)) {
+      removeEmitterAt(tile);
+    } else {
+      moveSelectedEmitterTo(tile);
+    }
     triggerTileAnimation(tile, true);
   } else if (tile && tile === pointerDownTile) {
     // Short click: normal state changes
@@ -697,7 +2732,7 @@ function advanceTileState(tile, direction) {
 
 function changeTileModule(tile) {
   const current = tile.moduleType;
-  const choices = MODULE_TYPES.filter((m) => m !== current);
+  const choices = GLYPH_FAMILIES.map((f) => f.name).filter((m) => m !== current);
   tile.moduleType = random(choices);
   tile.stateCount = moduleStateCount(tile.moduleType);
   tile.state = constrain(tile.state, 0, tile.stateCount - 1);
@@ -708,6 +2743,7 @@ function changeTileModule(tile) {
 function registerTileChange(tile) {
   tile.clickCount = (tile.clickCount || 0) + 1;
   tile.lastChangedFrame = frameCount;
+  markNetworkChanged();
 }
 
 function triggerTileAnimation(tile, hard) {
@@ -718,11 +2754,26 @@ function triggerTileAnimation(tile, hard) {
 }
 
 function keyPressed() {
+  // typing into the tile inspector / FX panel / palette editor is not a shortcut
+  if (inspectorHasFocus() || fxPanelHasFocus() || paletteEditorHasFocus()) return;
+
   // Audio sanity check
   if (key === 'A') {
     testBeep();
     return;
   }
+  if (key === '#') {
+    toggleFxPanel();
+    return;
+  }
+  if (key === '@') {
+    cycleVoiceStealPolicy();
+    return;
+  }
+  if (key === '$') {
+    clearSampleAt(findTileAt(mouseX, mouseY));
+    return;
+  }
 
   // Toggle chrome
   if (key === 'H') {
@@ -736,57 +2787,260 @@ function keyPressed() {
     return;
   }
 
+  // Tuning
+  if (key === '`') {
+    cycleTuning();
+    return;
+  }
+  if (key === '~') {
+    promptRootFreq();
+    return;
+  }
+  if (key === '|') {
+    showRatios = !showRatios;
+    return;
+  }
+  if (key === '\\') {
+    cyclePitchMapping();
+    return;
+  }
+  if (key === "'") {
+    const i = LATTICE_OCTAVE_RANGES.indexOf(latticeOctaves);
+    latticeOctaves = LATTICE_OCTAVE_RANGES[(i + 1) % LATTICE_OCTAVE_RANGES.length];
+    return;
+  }
+
   // Transport
   if (key === ' ') {
     ensureAudioRunning();
     isPlaying = !isPlaying;
     return;
   }
+  if (key === 'T') {
+    tapTempo();
+    return;
+  }
   if (key === ',') {
-    bpm = max(20, bpm - 5);
+    bpm = max(BPM_MIN, bpm - 1);
     return;
   }
   if (key === '.') {
-    bpm = min(240, bpm + 5);
+    bpm = min(BPM_MAX, bpm + 1);
+    return;
+  }
+  if (key === 'F') {
+    setRippleRate((rippleRateIndex + 1) % RIPPLE_RATES.length);
     return;
   }
 
-  // Scenes on Q/W/E/R: Shift+key = store, key = recall
-  if (key === 'Q') {
-    if (keyIsDown(SHIFT)) storeScene(0);
-    else recallScene(0);
+  // MIDI out
+  if (key === 'M') {
+    cycleMidiOutput();
     return;
   }
-  if (key === 'W') {
-    if (keyIsDown(SHIFT)) storeScene(1);
-    else recallScene(1);
+  if (key === '!') {
+    toggleMidiMpe();
     return;
   }
-  if (key === 'E') {
-    if (keyIsDown(SHIFT)) storeScene(2);
-    else recallScene(2);
+
+  // MIDI in
+  if (key === 'J') {
+    cycleMidiInput();
     return;
   }
-  if (key === 'R') {
-    if (keyIsDown(SHIFT)) storeScene(3);
-    else recallScene(3);
+  if (key === 'I') {
+    cycleMidiLearn();
     return;
   }
-
-  // New seed / reroll layout
-  if (key === 'N') {
-    currentSeed = floor(random(1e9));
-    buildTilesFromSeed();
+  if (key === '<') {
+    rippleCycleBeats = max(MIN_CYCLE_BEATS, rippleCycleBeats - 1);
     return;
   }
-
-  // Save PNG + JSON snapshot
-  if (key === 'S') {
-    saveComposition();
+  if (key === '>') {
+    rippleCycleBeats = min(MAX_CYCLE_BEATS, rippleCycleBeats + 1);
     return;
   }
 
-  // Palettes: 1–4
+  // Emitters
+  if (keyCode === TAB) {
+    selectedEmitter = (selectedEmitter + 1) % max(1, emitters.length);
+    return false;
+  }
+  if (key === 'D') {
+    adjustSelectedEmitter({ flipDirection: true });
+    return;
+  }
+  if (key === '-') {
+    adjustSelectedEmitter({ speedFactor: 1 / 1.25 });
+    return;
+  }
+  if (key === '=') {
+    adjustSelectedEmitter({ speedFactor: 1.25 });
+    return;
+  }
+  if (key === '_') {
+    adjustSelectedEmitter({ widthDelta: -0.15 });
+    return;
+  }
+  if (key === '+') {
+    adjustSelectedEmitter({ widthDelta: 0.15 });
+    return;
+  }
+  if (key === '/') {
+    adjustSelectedEmitter({ nextThreshold: true });
+    return;
+  }
+
+  // Wave geometry
+  if (key === 'V') {
+    const i = RIPPLE_GEOMETRIES.indexOf(rippleGeometry);
+    setRippleGeometry(RIPPLE_GEOMETRIES[(i + 1) % RIPPLE_GEOMETRIES.length]);
+    return;
+  }
+
+  // Scenes on Q/W/E/R: Shift+key = store, key = recall
+  if (key === 'Q') {
+    if (keyIsDown(SHIFT)) storeScene(0);
+    else goToScene(0);
+    return;
+  }
+  if (key === 'W') {
+    if (keyIsDown(SHIFT)) storeScene(1);
+    else goToScene(1);
+    return;
+  }
+  if (key === 'E') {
+    if (keyIsDown(SHIFT)) storeScene(2);
+    else goToScene(2);
+    return;
+  }
+  if (key === 'R') {
+    if (keyIsDown(SHIFT)) storeScene(3);
+    else goToScene(3);
+    return;
+  }
+
+  // Scene morphing
+  if (key === 'Y') {
+    morphEnabled = !morphEnabled;
+    return;
+  }
+  if (key === 'U') {
+    morphOrderIndex = (morphOrderIndex + 1) % MORPH_ORDERS.length;
+    return;
+  }
+  if (key === '{') {
+    morphLengthIndex = max(0, morphLengthIndex - 1);
+    return;
+  }
+  if (key === '}') {
+    morphLengthIndex = min(MORPH_LENGTHS.length - 1, morphLengthIndex + 1);
+    return;
+  }
+  if (keyCode === ESCAPE) {
+    cancelSceneTransition();
+    return;
+  }
+
+  // Scene chain
+  if (key === 'C') {
+    editSceneChain();
+    return;
+  }
+  if (key === 'P') {
+    if (chainPlaying) stopSceneChain();
+    else startSceneChain();
+    return;
+  }
+
+  // Grid size
+  if (keyCode === LEFT_ARROW) {
+    resizeGrid(gridCols - 1, gridRows);
+    return;
+  }
+  if (keyCode === RIGHT_ARROW) {
+    resizeGrid(gridCols + 1, gridRows);
+    return;
+  }
+  if (keyCode === UP_ARROW) {
+    resizeGrid(gridCols, gridRows - 1);
+    return;
+  }
+  if (keyCode === DOWN_ARROW) {
+    resizeGrid(gridCols, gridRows + 1);
+    return;
+  }
+
+  // New seed / reroll layout
+  if (key === 'N') {
+    currentSeed = floor(random(1e9));
+    buildTilesFromSeed();
+    return;
+  }
+
+  // Save PNG + JSON snapshot
+  if (key === 'S') {
+    saveComposition();
+    return;
+  }
+  if (key === ':') {
+    cycleEvolutionRule();
+    return;
+  }
+  if (key === ';') {
+    cycleEvolutionTiming();
+    return;
+  }
+  if (key === '?') {
+    promptEvolutionTable();
+    return;
+  }
+  if (key === '"') {
+    freezeEvolution();
+    return;
+  }
+  if (keyCode === BACKSPACE) {
+    undoEvolution();
+    return false;
+  }
+  if (key === '[') {
+    cycleConnectStyle();
+    return;
+  }
+  if (key === ']') {
+    toggleConnectRouting();
+    return;
+  }
+  if (key === '&') {
+    exportSVG();
+    return;
+  }
+  if (key === '*') {
+    promptPrintExport();
+    return;
+  }
+  if (key === '%') {
+    promptAudioRender();
+    return;
+  }
+  if (key === '^') {
+    toggleVideoCapture();
+    return;
+  }
+
+  // Export scene bank
+  if (key === 'B') {
+    exportSceneBank();
+    return;
+  }
+
+  // Open snapshot / scene bank file
+  if (key === 'O') {
+    openFilePicker();
+    return;
+  }
+
+  // Palettes: 1–4
   if (key === '1') {
     paletteIndex = 0;
     return;
@@ -803,6 +3057,15 @@ function keyPressed() {
     paletteIndex = 3;
     return;
   }
+  if (key === '0') {
+    paletteIndex = (paletteIndex + 1) % paletteDefs.length;
+    showNotice(`Palette: ${currentPalette().name}`);
+    return;
+  }
+  if (key === '(') {
+    togglePaletteEditor();
+    return;
+  }
 
   // Global scale macros
   if (key === 'Z') {
@@ -833,18 +3096,30 @@ function drawGridOverlay() {
   strokeWeight(1);
   noFill();
 
-  for (let c = 0; c <= GRID_COLS; c++) {
+  for (let c = 0; c <= gridCols; c++) {
     const x = x0 + c * cellW;
-    line(x, y0, x, y0 + GRID_ROWS * cellH);
+    line(x, y0, x, y0 + gridRows * cellH);
   }
-  for (let r = 0; r <= GRID_ROWS; r++) {
+  for (let r = 0; r <= gridRows; r++) {
     const y = y0 + r * cellH;
-    line(x0, y, x0 + GRID_COLS * cellW, y);
+    line(x0, y, x0 + gridCols * cellW, y);
   }
 
   noStroke();
 }
 
+function drawRatioLabels() {
+  const { cellW, cellH } = gridMetrics;
+  const fgCol = chromeColorForBackground(currentPalette().bg);
+  noStroke();
+  fill(fgCol);
+  textSize(constrain(min(cellW, cellH) * 0.16, 8, 12));
+  textAlign(LEFT, TOP);
+  for (const tile of tiles) {
+    text(tuningLabelForTile(tile), tile.x + 4, tile.y + 4);
+  }
+}
+
 function drawBrightnessOverlay() {
   const amount = abs(brightnessOverlay);
   if (amount <= 0.0001) return;
@@ -873,36 +3148,133 @@ function drawChrome() {
   textAlign(LEFT, BASELINE);
 
   const modeLabel = isPlaying ? 'ripple · playing' : 'ripple · stopped';
-  const titleLine = `CLICKFIELD · ${palette.name} · ${modeLabel} · bpm ${bpm}`;
+  const tapLabel = tapTimes.length > 0 ? ` · tap ${tapTimes.length}` : '';
+  const titleLine =
+    `CLICKFIELD · ${palette.name} · ${modeLabel} · bpm ${bpm}${tapLabel} · ` +
+    `rate ${RIPPLE_RATES[rippleRateIndex].label} · ${rippleCycleBeats} beats/cycle`;
   text(titleLine, margin, margin + fontSize);
 
-  // top-right: seed
+  // top-left, second line: scene chain, then evolution
+  const chainLabel = chainChromeLabel();
+  if (chainLabel) {
+    text(chainLabel, margin, margin + fontSize * 2.4);
+  }
+  const evolveLabel = evolutionChromeLabel();
+  if (evolveLabel) {
+    text(evolveLabel, margin, margin + fontSize * (chainLabel ? 3.7 : 2.4));
+  }
+
+  // top-right: seed + emitters
   textAlign(RIGHT, BASELINE);
   text(`seed ${currentSeed}`, width - margin, margin + fontSize);
+  for (let e = 0; e < emitters.length; e++) {
+    text(emitterChromeLabel(e), width - margin, margin + fontSize * (2.4 + e * 1.3));
+  }
 
-  // bottom-left: origin + grid
+  // bottom-left: origin + grid, voice pool above
   textAlign(LEFT, BASELINE);
   const bottomY = height - margin;
+  text(voiceChromeLabel() + sampleChromeLabel(), margin, bottomY - fontSize * 1.4);
   const dot = isPlaying ? '●' : '○';
   const originLabel = originTile ? `${originTile.col},${originTile.row}` : '—';
   text(
-    `${dot} origin ${originLabel} · grid ${GRID_COLS}×${GRID_ROWS}`,
+    `${dot} origin ${originLabel} · grid ${gridCols}×${gridRows} · wave ${rippleGeometry}` +
+      ` · ${tuningChromeLabel()}` +
+      morphChromeLabel() +
+      midiChromeLabel(),
     margin,
     bottomY
   );
 
+  // top-center: recording
+  const recLabel = videoCaptureChromeLabel();
+  if (recLabel) {
+    textAlign(CENTER, BASELINE);
+    fill(videoCapture.phase === 'recording' ? '#d12b2b' : fgCol);
+    text(recLabel, width / 2, margin + fontSize);
+    fill(fgCol);
+  }
+
   // bottom-right: key hints
   textAlign(RIGHT, BASELINE);
   text(
-    `[space] play · long-press tile: origin · [QWER] scenes · [N] seed`,
+    `[space] play · long-press tile: emitter · [QWER] scenes · [N] seed`,
     width - margin,
     bottomY
   );
 }
 
+function showNotice(text, kind = 'info') {
+  notice = { text, kind, until: millis() + NOTICE_MS };
+  if (kind === 'error') console.error(text);
+}
+
+function drawNotice() {
+  if (millis() > notice.until) {
+    notice = null;
+    return;
+  }
+
+  const margin = 14;
+  const fontSize = 11;
+  const palette = currentPalette();
+
+  noStroke();
+  if (notice.kind === 'error') {
+    fill(230, 60, 60, 230);
+  } else {
+    fill(chromeColorForBackground(palette.bg));
+  }
+  textSize(fontSize);
+  textAlign(LEFT, BASELINE);
+  text(notice.text, margin, height - margin - fontSize * 1.8);
+}
+
+function morphChromeLabel() {
+  if (sceneTransition) {
+    const pct = round(sceneTransitionProgress() * 100);
+    const queued = sceneQueue.length ? ` (+${sceneQueue.length} queued)` : '';
+    return ` · morph → scene ${sceneTransition.index} ${pct}%${queued}`;
+  }
+  if (!morphEnabled) return '';
+  return ` · morph ${MORPH_ORDERS[morphOrderIndex]} ${MORPH_LENGTHS[morphLengthIndex]}b`;
+}
+
+function emitterChromeLabel(index) {
+  const e = emitters[index];
+  const marker = index === selectedEmitter ? '▸ ' : '';
+  const dir = e.direction > 0 ? 'out' : 'in';
+  return (
+    `${marker}${index === 0 ? 'origin' : `emitter ${index + 1}`} ${e.col},${e.row} · ` +
+    `×${e.speed.toFixed(2)} · w ${e.width.toFixed(2)} · t ${e.threshold.toFixed(1)} · ${dir}`
+  );
+}
+
+function chainChromeLabel() {
+  const steps = sceneChain.steps;
+  if (steps.length === 0) return '';
+
+  const mode = sceneChain.loop ? 'loop' : 'once';
+  if (!chainPlaying) {
+    return `chain ${formatSceneChainSteps(steps)} · ${mode} · [P] play`;
+  }
+
+  const step = steps[chainPosition];
+  const cycle = step.cycles - chainCyclesLeft + 1;
+  return (
+    `chain ▶ ${chainPosition + 1}/${steps.length} · ` +
+    `${SCENE_KEYS[step.slot]} cycle ${cycle}/${step.cycles} · ${mode}`
+  );
+}
+
+// Perceived brightness, 0–255 (also used for palette contrast checks).
+function hexLuminance(hex) {
+  const c = color(hex);
+  return 0.299 * red(c) + 0.587 * green(c) + 0.114 * blue(c);
+}
+
 function chromeColorForBackground(bgHex) {
-  const c = color(bgHex);
-  const lum = 0.299 * red(c) + 0.587 * green(c) + 0.114 * blue(c);
+  const lum = hexLuminance(bgHex);
   const alpha = 200;
   if (lum > 150) {
     return color(0, 0, 0, alpha);
@@ -918,16 +3290,33 @@ function storeScene(index) {
 
   scenes[index] = {
     paletteIndex,
+    paletteName: currentPalette().name,
     seed: currentSeed,
-    cols: GRID_COLS,
-    rows: GRID_ROWS,
+    cols: gridCols,
+    rows: gridRows,
+    origin: originTile ? { col: originTile.col, row: originTile.row } : null,
+    emitters: serializeEmitters(),
+    geometry: rippleGeometry,
+    bpm,
+    rate: RIPPLE_RATES[rippleRateIndex].label,
+    cycleBeats: rippleCycleBeats,
+    shapeScale,
+    brightnessOverlay,
+    tuning: serializeTuning(),
+    rootFreq,
+    pitchMap: serializePitchMap(),
+    connect: serializeConnect(),
+    fx: cloneFxMix(fxMix),
     tiles: tiles.map((t) => ({
       moduleType: t.moduleType,
       state: t.state,
-      colorIndex: t.colorIndex
+      colorIndex: t.colorIndex,
+      overrides: t.overrides
     }))
   };
 
+  saveScenesToStorage();
+
   console.log(
     `Stored scene ${index} (palette: ${currentPalette().name}, seed: ${currentSeed})`
   );
@@ -937,379 +3326,3727 @@ function recallScene(index) {
   const scene = scenes[index];
   if (!scene) return;
 
-  if (scene.cols !== GRID_COLS || scene.rows !== GRID_ROWS) {
-    console.warn('Scene grid size does not match current grid; ignoring.');
-    return;
-  }
+  const remapped = scene.cols !== gridCols || scene.rows !== gridRows;
+  const snaps = remapTileList(scene.tiles, scene.cols, scene.rows, gridCols, gridRows);
 
-  paletteIndex = scene.paletteIndex % paletteDefs.length;
+  paletteIndex = scenePaletteIndex(scene);
 
-  for (let i = 0; i < tiles.length && i < scene.tiles.length; i++) {
-    const snap = scene.tiles[i];
+  for (let i = 0; i < tiles.length && i < snaps.length; i++) {
+    const snap = snaps[i];
     const tile = tiles[i];
 
     tile.moduleType = snap.moduleType;
     tile.stateCount = moduleStateCount(tile.moduleType);
     tile.state = constrain(snap.state, 0, tile.stateCount - 1);
     tile.colorIndex = snap.colorIndex;
+    tile.overrides = cleanTileOverrides(snap.overrides);
     triggerTileAnimation(tile, true);
   }
 
-  computeRippleDistances();
-}
+  if (Number.isFinite(scene.bpm)) bpm = constrain(round(scene.bpm), BPM_MIN, BPM_MAX);
+  applyStoredRate(scene);
+  if (Number.isFinite(scene.shapeScale)) shapeScale = constrain(scene.shapeScale, 0.7, 1.4);
+  if (Number.isFinite(scene.brightnessOverlay)) {
+    brightnessOverlay = constrain(scene.brightnessOverlay, -0.7, 0.7);
+  }
 
-function saveComposition() {
-  const palette = currentPalette();
-  const filenameBase = `clickfield_${palette.name.replace(/\s+/g, '-')}_${currentSeed}`;
-  saveCanvas(filenameBase, 'png');
+  applyStoredTuning(scene);
+  applyStoredFx(scene);
+  applyStoredConnect(scene);
 
-  const snapshot = {
-    seed: currentSeed,
-    paletteName: palette.name,
-    cols: GRID_COLS,
-    rows: GRID_ROWS,
-    tiles: tiles.map((t) => ({
-      col: t.col,
-      row: t.row,
-      moduleType: t.moduleType,
-      state: t.state,
-      colorIndex: t.colorIndex
-    }))
-  };
+  if (RIPPLE_GEOMETRIES.includes(scene.geometry)) rippleGeometry = scene.geometry;
+  applyStoredEmitters(scene, scene.cols, scene.rows);
 
-  console.log('Clickfield snapshot:', snapshot);
-  console.log('JSON:', JSON.stringify(snapshot));
+  if (remapped) {
+    showNotice(`Scene ${index} remapped from ${scene.cols}×${scene.rows}.`);
+  }
 }
 
-// -------------------- audio engine --------------------
+// -------------------- scene transitions --------------------
 
-function initAudio() {
-  if (audioCtx && audioCtx.state !== 'closed') return;
-  const AudioCtx = window.AudioContext || window.webkitAudioContext;
-  if (!AudioCtx) {
-    console.warn('Web Audio API not supported in this browser.');
+// Recall entry point for QWER: snaps by default, morphs when enabled.
+function goToScene(index) {
+  if (!scenes[index]) return;
+
+  if (!morphEnabled) {
+    cancelSceneTransition();
+    recallScene(index);
     return;
   }
-  audioCtx = new AudioCtx();
-  masterGain = audioCtx.createGain();
-  masterGain.gain.value = 0.3;
-  masterGain.connect(audioCtx.destination);
-}
 
-function ensureAudioRunning() {
-  if (!audioCtx) {
-    initAudio();
-  }
-  if (!audioCtx) return;
-  if (audioCtx.state === 'suspended') {
-    audioCtx.resume().catch(() => {});
+  if (sceneTransition) {
+    sceneQueue.push(index);
+    return;
   }
+  startSceneTransition(index);
 }
 
-function triggerGrainFromTile(tile, amp) {
-  ensureAudioRunning();
-  if (!audioCtx) return;
+function startSceneTransition(index) {
+  const scene = scenes[index];
+  if (!scene) return;
 
-  switch (tile.moduleType) {
-    case 'circle':
-      // bell / chime
-      playBellGrain(tile, amp);
-      break;
-    case 'bar':
-      // woodblock-ish tick
-      playWoodBlockGrain(tile, amp);
-      break;
-    case 'block':
-      // chord cluster
-      playChordGrain(tile, amp);
-      break;
-    case 'diagonal':
-      // metallic / FM-y
-      playMetallicGrain(tile, amp);
-      break;
-    default:
-      playBellGrain(tile, amp);
-      break;
+  const lengthBeats = MORPH_LENGTHS[morphLengthIndex];
+  const order = MORPH_ORDERS[morphOrderIndex];
+  const snaps = remapTileList(scene.tiles, scene.cols, scene.rows, gridCols, gridRows);
+
+  // Each tile gets a switch point in [0, lengthBeats)
+  const steps = [];
+  for (let i = 0; i < tiles.length && i < snaps.length; i++) {
+    const tile = tiles[i];
+    let k;
+    if (order === 'rows') {
+      k = (tile.row * gridCols + tile.col) / tiles.length;
+    } else if (order === 'ripple') {
+      const reach = primaryEmitter() ? primaryEmitter().maxDist : 0;
+      k = reach > 0 ? (min(tile.dist, reach) / reach) * 0.999 : 0;
+    } else {
+      k = random();
+    }
+    steps.push({ tile, snap: snaps[i], at: k * lengthBeats });
   }
+  steps.sort((a, b) => a.at - b.at);
+
+  sceneTransition = {
+    index,
+    scene,
+    steps,
+    cursor: 0,
+    lengthBeats,
+    elapsedBeats: 0,
+    toPaletteIndex: scenePaletteIndex(scene),
+    fromScale: shapeScale,
+    fromBrightness: brightnessOverlay,
+    // null = the scene leaves it as it is
+    toScale: Number.isFinite(scene.shapeScale) ? constrain(scene.shapeScale, 0.7, 1.4) : null,
+    toBrightness: Number.isFinite(scene.brightnessOverlay)
+      ? constrain(scene.brightnessOverlay, -0.7, 0.7)
+      : null
+  };
 }
 
-function baseFreqForTile(tile, octaveOffset = 0) {
-  // 7-limit JI: each row picks a ratio from JI_RATIOS,
-  // then we stack octaves upward as we run out of ratios.
-  const root = 220; // base fundamental in Hz (A3-ish)
+function sceneTransitionProgress() {
+  if (!sceneTransition) return 0;
+  return constrain(sceneTransition.elapsedBeats / sceneTransition.lengthBeats, 0, 1);
+}
 
-  const idx = tile.row % JI_RATIOS.length;
-  const ratio = JI_RATIOS[idx];
+function updateSceneTransition(dt) {
+  const tr = sceneTransition;
+  tr.elapsedBeats += dt * (bpm / 60);
+
+  while (tr.cursor < tr.steps.length && tr.steps[tr.cursor].at <= tr.elapsedBeats) {
+    applySceneTileStep(tr.steps[tr.cursor]);
+    tr.cursor++;
+  }
 
-  const rowOct = floor(tile.row / JI_RATIOS.length);
-  const octave = rowOct + octaveOffset;
+  const k = sceneTransitionProgress();
+  if (tr.toScale !== null) {
+    shapeScale = lerp(tr.fromScale, tr.toScale, k);
+  }
+  if (tr.toBrightness !== null) {
+    brightnessOverlay = lerp(tr.fromBrightness, tr.toBrightness, k);
+  }
 
-  const octaveFactor = Math.pow(2, octave);
-  return root * ratio * octaveFactor;
+  if (tr.elapsedBeats >= tr.lengthBeats) {
+    finishSceneTransition();
+  }
 }
 
-function connectVoiceToOutput(gainNode, tile) {
-  const ctx = audioCtx;
-  if (!ctx || !masterGain) return;
+function applySceneTileStep(step) {
+  const { tile, snap } = step;
+  const overrides = cleanTileOverrides(snap.overrides);
+  if (
+    tile.moduleType === snap.moduleType &&
+    tile.state === snap.state &&
+    tile.colorIndex === snap.colorIndex &&
+    JSON.stringify(tile.overrides) === JSON.stringify(overrides)
+  ) {
+    return;
+  }
 
-  const panNode = ctx.createStereoPanner
-    ? ctx.createStereoPanner()
-    : null;
+  tile.moduleType = snap.moduleType;
+  tile.stateCount = moduleStateCount(tile.moduleType);
+  tile.state = constrain(snap.state, 0, tile.stateCount - 1);
+  markNetworkChanged();
+  tile.colorIndex = snap.colorIndex;
+  tile.overrides = overrides;
+  triggerTileAnimation(tile, true);
+}
 
-  if (panNode) {
-    const panVal = lerp(
-      -0.8,
-      0.8,
-      GRID_COLS > 1 ? tile.col / (GRID_COLS - 1) : 0.5
-    );
-    panNode.pan.setValueAtTime(panVal, ctx.currentTime);
-    gainNode.connect(panNode);
-    panNode.connect(masterGain);
-  } else {
-    gainNode.connect(masterGain);
+function finishSceneTransition() {
+  const tr = sceneTransition;
+  while (tr.cursor < tr.steps.length) {
+    applySceneTileStep(tr.steps[tr.cursor]);
+    tr.cursor++;
   }
-}
 
-function playBellGrain(tile, amp = 1.0) {
-  const ctx = audioCtx;
-  if (!ctx) return;
+  const scene = tr.scene;
+  paletteIndex = tr.toPaletteIndex;
+  if (tr.toScale !== null) shapeScale = tr.toScale;
+  if (tr.toBrightness !== null) brightnessOverlay = tr.toBrightness;
+  if (Number.isFinite(scene.bpm)) bpm = constrain(round(scene.bpm), BPM_MIN, BPM_MAX);
+  applyStoredRate(scene);
+  applyStoredTuning(scene);
+  applyStoredFx(scene);
+  const routing = connectRouting;
+  applyStoredConnect(scene);
+
+  // Only reset the wave phase if the geometry, emitters or routing change
+  // (rerouted links are picked up at the next cycle)
+  const geometry = RIPPLE_GEOMETRIES.includes(scene.geometry) ? scene.geometry : rippleGeometry;
+  if (
+    geometry !== rippleGeometry ||
+    routing !== connectRouting ||
+    !storedEmittersMatch(scene, scene.cols, scene.rows)
+  ) {
+    rippleGeometry = geometry;
+    applyStoredEmitters(scene, scene.cols, scene.rows);
+  }
 
-  const now = ctx.currentTime;
-  const freq = baseFreqForTile(tile, 0);
+  sceneTransition = null;
+  if (sceneQueue.length > 0) {
+    startSceneTransition(sceneQueue.shift());
+  }
+}
 
-  const stateNorm =
-    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+// Stops where it is: tiles already switched stay, the palette stays on the
+// source scene's. Also drops anything queued.
+function cancelSceneTransition() {
+  sceneTransition = null;
+  sceneQueue = [];
+}
 
-  const duration = lerp(0.25, 0.9, amp);
-  const attack = 0.005;
-  const release = duration;
-  const totalDur = attack + release;
+// -------------------- scene chain --------------------
 
-  // concurrency guard
-  if (!beginGrain(totalDur)) {
+function startSceneChain() {
+  if (sceneChain.steps.length === 0) {
+    showNotice('No chain yet — press C to write one.', 'error');
     return;
   }
 
-  const osc1 = ctx.createOscillator();
-  const osc2 = ctx.createOscillator();
-  const gain = ctx.createGain();
+  chainPlaying = true;
+  enterChainStep(0);
 
-  osc1.type = 'sine';
-  osc2.type = 'sine';
-  osc1.frequency.value = freq;
-  osc2.frequency.value = freq * 2.01; // slightly detuned upper partial
+  // The chain runs on the ripple clock, so it needs the transport
+  ensureAudioRunning();
+  isPlaying = true;
+}
 
-  let vel = 0.18;
-  if (tile.colorIndex === 2) vel *= 1.4; // accent
-  if (tile.colorIndex === 1) vel *= 0.85; // secondary
-  vel *= lerp(0.7, 1.3, amp);
-  vel *= lerp(0.8, 1.2, stateNorm);
+function stopSceneChain() {
+  chainPlaying = false;
+}
 
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(vel, now + attack);
-  gain.gain.exponentialRampToValueAtTime(
+function enterChainStep(position) {
+  chainPosition = position;
+  const step = sceneChain.steps[position];
+  chainCyclesLeft = step.cycles;
+  goToScene(step.slot);
+}
+
+// Called once per ripple wrap while the chain plays.
+function advanceSceneChain() {
+  chainCyclesLeft--;
+  if (chainCyclesLeft > 0) return;
+
+  let next = chainPosition + 1;
+  if (next >= sceneChain.steps.length) {
+    if (!sceneChain.loop) {
+      stopSceneChain();
+      showNotice('Chain finished.');
+      return;
+    }
+    next = 0;
+  }
+  enterChainStep(next);
+}
+
+function editSceneChain() {
+  if (typeof window === 'undefined' || !window.prompt) return;
+
+  const current = sceneChain.steps.length
+    ? `${formatSceneChainSteps(sceneChain.steps)} ${sceneChain.loop ? 'loop' : 'once'}`
+    : 'Q×4, W×2, E×8, R×4 loop';
+  const input = window.prompt('Scene chain (slot×cycles, then loop or once):', current);
+  if (input == null) return;
+
+  const parsed = parseSceneChain(input);
+  if (parsed.error) {
+    showNotice(`Chain not changed: ${parsed.error}.`, 'error');
+    return;
+  }
+
+  sceneChain = { steps: parsed.steps, loop: parsed.loop };
+  if (chainPlaying && sceneChain.steps.length === 0) {
+    stopSceneChain();
+  } else if (chainPlaying) {
+    chainPosition = min(chainPosition, sceneChain.steps.length - 1);
+    chainCyclesLeft = min(chainCyclesLeft, sceneChain.steps[chainPosition].cycles);
+  }
+  saveScenesToStorage();
+}
+
+// "Q×4, W×2, E x8 R once" → { steps: [{ slot, cycles }], loop, error }
+function parseSceneChain(textValue) {
+  const normalized = textValue.replace(/\s*[x×*]\s*(?=\d)/gi, '×');
+  const tokens = normalized.split(/[\s,;]+/).filter(Boolean);
+  const steps = [];
+  let loop = true;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const lower = token.toLowerCase();
+    if (lower === 'loop') {
+      loop = true;
+      continue;
+    }
+    if (lower === 'once') {
+      loop = false;
+      continue;
+    }
+
+    const m = /^([a-z])(?:×(\d+))?$/i.exec(token);
+    const slot = m ? SCENE_KEYS.indexOf(m[1].toUpperCase()) : -1;
+    if (slot < 0) {
+      return { error: `unknown step "${token}"` };
+    }
+    const cycles = m[2] ? parseInt(m[2], 10) : 1;
+    if (cycles < 1) {
+      return { error: `step "${token}" needs at least one cycle` };
+    }
+    steps.push({ slot, cycles });
+  }
+
+  return { steps, loop, error: null };
+}
+
+function formatSceneChainSteps(steps) {
+  return steps.map((step) => `${SCENE_KEYS[step.slot]}×${step.cycles}`).join(', ');
+}
+
+// -------------------- scene bank persistence --------------------
+
+function sceneStorageKey() {
+  return `${SCENE_STORAGE_PREFIX}${gridCols}x${gridRows}`;
+}
+
+function buildSceneBank() {
+  return {
+    format: SCENE_BANK_FORMAT,
+    version: SCENE_BANK_VERSION,
+    cols: gridCols,
+    rows: gridRows,
+    scenes: scenes.slice(),
+    chain: {
+      steps: sceneChain.steps.map((step) => ({ slot: step.slot, cycles: step.cycles })),
+      loop: sceneChain.loop
+    }
+  };
+}
+
+function saveScenesToStorage() {
+  try {
+    window.localStorage.setItem(sceneStorageKey(), JSON.stringify(buildSceneBank()));
+  } catch (e) {
+    console.warn('Could not persist scenes to localStorage.', e);
+  }
+}
+
+function loadScenesFromStorage() {
+  let raw = null;
+  try {
+    raw = window.localStorage.getItem(sceneStorageKey());
+  } catch (e) {
+    return;
+  }
+  if (!raw) return;
+
+  let bank;
+  try {
+    bank = JSON.parse(raw);
+  } catch (e) {
+    console.warn('Stored scene bank is not valid JSON; ignoring.');
+    return;
+  }
+
+  const error = validateSceneBank(bank);
+  if (error) {
+    console.warn(`Stored scene bank ignored: ${error}.`);
+    return;
+  }
+  applySceneBank(bank);
+}
+
+function exportSceneBank() {
+  if (!scenes.some((scene) => scene) && sceneChain.steps.length === 0) {
+    showNotice('No scenes stored yet — Shift+Q/W/E/R to store one.', 'error');
+    return;
+  }
+  saveJSON(buildSceneBank(), `clickfield_scenes_${gridCols}x${gridRows}.json`);
+  showNotice('Exported scene bank.');
+}
+
+function importSceneBank(bank, sourceLabel = 'scene bank') {
+  const error = validateSceneBank(bank);
+  if (error) {
+    showNotice(`Can't import ${sourceLabel}: ${error}.`, 'error');
+    return false;
+  }
+
+  applySceneBank(bank);
+  saveScenesToStorage();
+
+  const count = scenes.filter((scene) => scene).length;
+  showNotice(`Imported ${count} scene${count === 1 ? '' : 's'} from ${sourceLabel}.`);
+  return true;
+}
+
+function applySceneBank(bank) {
+  scenes = new Array(MAX_SCENES).fill(null);
+  for (let i = 0; i < MAX_SCENES && i < bank.scenes.length; i++) {
+    scenes[i] = bank.scenes[i] || null;
+  }
+
+  if (bank.chain) {
+    sceneChain = {
+      steps: bank.chain.steps.map((step) => ({ slot: step.slot, cycles: step.cycles })),
+      loop: bank.chain.loop !== false
+    };
+    chainPosition = 0;
+    if (sceneChain.steps.length === 0) stopSceneChain();
+  }
+}
+
+// Optional numeric field: absent, or a finite number within [lo, hi]
+function inStoredRange(value, lo, hi) {
+  return value == null || (Number.isFinite(value) && value >= lo && value <= hi);
+}
+
+function validateSceneBank(bank) {
+  if (!bank || typeof bank !== 'object' || bank.format !== SCENE_BANK_FORMAT) {
+    return 'not a scene bank';
+  }
+  if (!Number.isInteger(bank.version) || bank.version > SCENE_BANK_VERSION) {
+    return `unsupported scene bank version ${bank.version}`;
+  }
+  if (!Number.isInteger(bank.cols) || !Number.isInteger(bank.rows)) {
+    return 'missing integer "cols" / "rows"';
+  }
+  if (!Array.isArray(bank.scenes) || bank.scenes.length > MAX_SCENES) {
+    return `expected up to ${MAX_SCENES} scenes`;
+  }
+
+  for (let i = 0; i < bank.scenes.length; i++) {
+    const scene = bank.scenes[i];
+    if (scene == null) continue;
+    if (typeof scene !== 'object') return `scene ${i} is not an object`;
+    if (!Number.isInteger(scene.paletteIndex) || scene.paletteIndex < 0) {
+      return `scene ${i} has invalid paletteIndex`;
+    }
+    if (!Number.isInteger(scene.cols) || !Number.isInteger(scene.rows) ||
+        scene.cols < 1 || scene.rows < 1) {
+      return `scene ${i} has an invalid grid size`;
+    }
+    if (!Array.isArray(scene.tiles) || scene.tiles.length !== scene.cols * scene.rows) {
+      return `scene ${i} has the wrong number of tiles`;
+    }
+    const tileError = validateTileList(scene.tiles, scene.cols, scene.rows);
+    if (tileError) return `scene ${i}: ${tileError}`;
+    if (scene.emitters != null) {
+      const emitterError = validateEmitterList(scene.emitters, scene.cols, scene.rows);
+      if (emitterError) return `scene ${i}: ${emitterError}`;
+    }
+    if (scene.geometry != null && !RIPPLE_GEOMETRIES.includes(scene.geometry)) {
+      return `scene ${i} has unknown wave geometry "${scene.geometry}"`;
+    }
+    if (!inStoredRange(scene.bpm, BPM_MIN, BPM_MAX)) {
+      return `scene ${i} has bpm outside ${BPM_MIN}–${BPM_MAX}`;
+    }
+    if (!inStoredRange(scene.shapeScale, 0.7, 1.4)) {
+      return `scene ${i} has shapeScale outside 0.7–1.4`;
+    }
+    if (!inStoredRange(scene.brightnessOverlay, -0.7, 0.7)) {
+      return `scene ${i} has brightnessOverlay outside -0.7–0.7`;
+    }
+    const tuningError = validateStoredTuning(scene) || validateStoredConnect(scene);
+    if (tuningError) return `scene ${i}: ${tuningError}`;
+    if (scene.fx != null) {
+      const fxError = validateFxMix(scene.fx);
+      if (fxError) return `scene ${i}: ${fxError}`;
+    }
+  }
+
+  if (bank.chain != null) {
+    if (typeof bank.chain !== 'object' || !Array.isArray(bank.chain.steps)) {
+      return 'chain must have a "steps" list';
+    }
+    for (let i = 0; i < bank.chain.steps.length; i++) {
+      const step = bank.chain.steps[i];
+      if (
+        !step ||
+        !Number.isInteger(step.slot) ||
+        step.slot < 0 ||
+        step.slot >= MAX_SCENES ||
+        !Number.isInteger(step.cycles) ||
+        step.cycles < 1
+      ) {
+        return `chain step ${i} is invalid`;
+      }
+    }
+  }
+
+  return null;
+}
+
+function saveComposition() {
+  const palette = currentPalette();
+  const filenameBase = compositionFilenameBase(palette);
+  saveCanvas(filenameBase, 'png');
+
+  const snapshot = buildSnapshot();
+  saveJSON(snapshot, `${filenameBase}.json`);
+  console.log('Clickfield snapshot:', snapshot);
+}
+
+function compositionFilenameBase(palette) {
+  return `clickfield_${palette.name.replace(/\s+/g, '-')}_${currentSeed}`;
+}
+
+function buildSnapshot() {
+  const palette = currentPalette();
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    seed: currentSeed,
+    paletteName: palette.name,
+    palette: paletteColors(palette),
+    cols: gridCols,
+    rows: gridRows,
+    origin: originTile ? { col: originTile.col, row: originTile.row } : null,
+    emitters: serializeEmitters(),
+    geometry: rippleGeometry,
+    bpm,
+    rate: RIPPLE_RATES[rippleRateIndex].label,
+    cycleBeats: rippleCycleBeats,
+    tuning: serializeTuning(),
+    rootFreq,
+    pitchMap: serializePitchMap(),
+    connect: serializeConnect(),
+    playing: isPlaying,
+    tiles: tiles.map((t) => ({
+      col: t.col,
+      row: t.row,
+      moduleType: t.moduleType,
+      state: t.state,
+      colorIndex: t.colorIndex,
+      overrides: t.overrides
+    }))
+  };
+}
+
+// -------------------- snapshot loading --------------------
+
+// Returns a human-readable reason the snapshot can't be loaded, or null.
+function validateSnapshot(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'not a snapshot object';
+  }
+  if (data.format != null && data.format !== SNAPSHOT_FORMAT) {
+    return `unexpected format "${data.format}"`;
+  }
+  if (data.version != null && data.version > SNAPSHOT_VERSION) {
+    return `snapshot version ${data.version} is newer than this sketch (${SNAPSHOT_VERSION})`;
+  }
+  if (!Number.isFinite(data.seed)) {
+    return 'missing numeric "seed"';
+  }
+  if (!Number.isInteger(data.cols) || !Number.isInteger(data.rows)) {
+    return 'missing integer "cols" / "rows"';
+  }
+  if (data.cols < 1 || data.rows < 1) {
+    return `grid ${data.cols}×${data.rows} is empty`;
+  }
+  if (!Array.isArray(data.tiles) || data.tiles.length !== data.cols * data.rows) {
+    return `expected ${data.cols * data.rows} tiles, found ${
+      Array.isArray(data.tiles) ? data.tiles.length : 'none'
+    }`;
+  }
+
+  const tileError = validateTileList(data.tiles, data.cols, data.rows);
+  if (tileError) return tileError;
+
+  if (data.origin != null) {
+    const { col, row } = data.origin;
+    if (
+      !Number.isInteger(col) || !Number.isInteger(row) ||
+      col < 0 || col >= data.cols || row < 0 || row >= data.rows
+    ) {
+      return 'origin is outside the grid';
+    }
+  }
+
+  if (data.emitters != null) {
+    const emitterError = validateEmitterList(data.emitters, data.cols, data.rows);
+    if (emitterError) return emitterError;
+  }
+  if (data.geometry != null && !RIPPLE_GEOMETRIES.includes(data.geometry)) {
+    return `unknown wave geometry "${data.geometry}"`;
+  }
+
+  return validateStoredTuning(data) || validateStoredConnect(data);
+}
+
+function validateTileList(list, cols, rows) {
+  const taken = new Set(); // cells, with a missing col / row implied by i
+  for (let i = 0; i < list.length; i++) {
+    const snap = list[i];
+    if (!snap || typeof snap !== 'object') return `tile ${i} is not an object`;
+    if (!glyphFamily(snap.moduleType)) {
+      return `tile ${i} has unknown moduleType "${snap.moduleType}"`;
+    }
+    const n = moduleStateCount(snap.moduleType);
+    if (!Number.isInteger(snap.state) || snap.state < 0 || snap.state >= n) {
+      return `tile ${i} state ${snap.state} is out of range for ${snap.moduleType}`;
+    }
+    if (!Number.isInteger(snap.colorIndex) || snap.colorIndex < 0 || snap.colorIndex >= PALETTE_FILL_SLOTS.length) {
+      return `tile ${i} has invalid colorIndex ${snap.colorIndex}`;
+    }
+    if (snap.col != null && (!Number.isInteger(snap.col) || snap.col < 0 || snap.col >= cols)) {
+      return `tile ${i} col ${snap.col} is not a column of the grid`;
+    }
+    if (snap.row != null && (!Number.isInteger(snap.row) || snap.row < 0 || snap.row >= rows)) {
+      return `tile ${i} row ${snap.row} is not a row of the grid`;
+    }
+    const cell = (snap.row ?? Math.floor(i / cols)) * cols + (snap.col ?? i % cols);
+    if (taken.has(cell)) return `tile ${i} repeats cell ${cell % cols},${Math.floor(cell / cols)}`;
+    taken.add(cell);
+    if (snap.overrides != null) {
+      const overrideError = validateTileOverrides(snap.overrides);
+      if (overrideError) return `tile ${i} ${overrideError}`;
+    }
+  }
+  return null;
+}
+
+function loadComposition(data, sourceLabel = 'snapshot') {
+  const error = validateSnapshot(data);
+  if (error) {
+    showNotice(`Can't load ${sourceLabel}: ${error}.`, 'error');
+    return false;
+  }
+
+  const paletteWarning = applySnapshotPalette(data);
+
+  // Place tiles row-major by their own coordinates first, then adopt the
+  // snapshot's grid size or, if it is out of range, remap onto this one.
+  const ordered = new Array(data.cols * data.rows);
+  for (let i = 0; i < data.tiles.length; i++) {
+    const snap = data.tiles[i];
+    const col = snap.col ?? i % data.cols;
+    const row = snap.row ?? floor(i / data.cols);
+    ordered[row * data.cols + col] = snap;
+  }
+  for (let i = 0; i < ordered.length; i++) {
+    if (!ordered[i]) ordered[i] = data.tiles[i];
+  }
+
+  const adoptSize = isValidGridSize(data.cols, data.rows);
+  if (adoptSize) setGridDimensions(data.cols, data.rows);
+  const snaps = remapTileList(ordered, data.cols, data.rows, gridCols, gridRows);
+
+  currentSeed = data.seed;
+  buildTilesFromSeed();
+
+  for (let i = 0; i < tiles.length; i++) {
+    const snap = snaps[i];
+    const tile = tiles[i];
+
+    tile.moduleType = snap.moduleType;
+    tile.stateCount = moduleStateCount(tile.moduleType);
+    tile.state = snap.state;
+    tile.colorIndex = snap.colorIndex;
+    tile.overrides = cleanTileOverrides(snap.overrides);
+    triggerTileAnimation(tile, true);
+  }
+
+  if (data.geometry != null) rippleGeometry = data.geometry;
+  applyStoredConnect(data);
+  applyStoredEmitters(data, data.cols, data.rows);
+
+  if (Number.isFinite(data.bpm)) {
+    bpm = constrain(round(data.bpm), BPM_MIN, BPM_MAX);
+  }
+  applyStoredRate(data);
+  applyStoredTuning(data);
+  if (typeof data.playing === 'boolean') {
+    if (data.playing) ensureAudioRunning();
+    isPlaying = data.playing;
+  }
+
+  if (paletteWarning) {
+    showNotice(`Loaded ${sourceLabel}; ${paletteWarning}.`, 'error');
+  } else if (!adoptSize) {
+    showNotice(
+      `Loaded ${sourceLabel}; remapped ${data.cols}×${data.rows} onto ${gridCols}×${gridRows}.`
+    );
+  } else {
+    showNotice(`Loaded ${sourceLabel} (seed ${currentSeed}).`);
+  }
+  return true;
+}
+
+// Selects the snapshot's palette by name. Unknown names are registered from
+// the embedded colors when present; otherwise the current palette is kept.
+// Returns a warning string when the palette couldn't be matched exactly.
+function applySnapshotPalette(data) {
+  const byName = paletteDefs.findIndex((p) => p.name === data.paletteName);
+  if (byName >= 0) {
+    paletteIndex = byName;
+    return null;
+  }
+
+  const colors = data.palette;
+  if (colors && !validatePaletteColors(colors)) {
+    paletteIndex = registerPalette({ name: String(data.paletteName || 'Imported'), ...paletteColors(colors) });
+    return null;
+  }
+
+  return `palette "${data.paletteName}" not found, kept ${currentPalette().name}`;
+}
+
+// -------------------- palettes --------------------
+
+function paletteColors(palette) {
+  const colors = {};
+  for (const slot of PALETTE_SLOTS) colors[slot] = palette[slot];
+  return colors;
+}
+
+function isHexColor(v) {
+  return typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+}
+
+// Returns a reason the colors can't be used, or null.
+function validatePaletteColors(colors) {
+  if (typeof colors !== 'object' || colors === null) return 'colors are not an object';
+  for (const slot of PALETTE_SLOTS) {
+    if (!isHexColor(colors[slot])) return `${slot} is not a #rrggbb color`;
+  }
+  return null;
+}
+
+// Fill slots that are hard to see on the palette's background.
+function paletteContrastWarnings(palette) {
+  const bgLum = hexLuminance(palette.bg);
+  return PALETTE_FILL_SLOTS.filter(
+    (slot) => abs(hexLuminance(palette[slot]) - bgLum) < PALETTE_MIN_CONTRAST
+  );
+}
+
+// Pushes low-contrast fills towards black or white, whichever is further
+// from the background, until they read against it.
+function ensurePaletteContrast(palette) {
+  const bgLum = hexLuminance(palette.bg);
+  const away = bgLum > 127 ? '#000000' : '#ffffff';
+  for (const slot of PALETTE_FILL_SLOTS) {
+    for (let i = 0; i < 10 && abs(hexLuminance(palette[slot]) - bgLum) < PALETTE_MIN_CONTRAST; i++) {
+      palette[slot] = lerpHexColor(palette[slot], away, 0.25);
+    }
+  }
+  return palette;
+}
+
+function samePaletteColors(a, b) {
+  return PALETTE_SLOTS.every((slot) => a[slot].toLowerCase() === b[slot].toLowerCase());
+}
+
+// Index of an equal palette (same name and colors), registering it if new.
+// Names are kept unique so scenes can find their palette again.
+function registerPalette(palette) {
+  const existing = paletteDefs.findIndex(
+    (p) => p.name === palette.name && samePaletteColors(p, palette)
+  );
+  if (existing >= 0) return existing;
+
+  let name = palette.name;
+  for (let n = 2; paletteDefs.some((p) => p.name === name); n++) {
+    name = `${palette.name} ${n}`;
+  }
+  paletteDefs.push({ ...palette, name });
+  return paletteDefs.length - 1;
+}
+
+function scenePaletteIndex(scene) {
+  const byName = paletteDefs.findIndex((p) => p.name === scene.paletteName);
+  return byName >= 0 ? byName : scene.paletteIndex % paletteDefs.length;
+}
+
+// Adds a palette as custom (editable, saved) and selects it.
+function addCustomPalette(palette) {
+  paletteIndex = registerPalette({ ...palette, custom: true });
+  paletteDefs[paletteIndex].custom = true;
+  saveCustomPalettes();
+  if (panelIsOpen(paletteEditor)) fillPaletteEditor();
+}
+
+function saveCustomPalettes() {
+  try {
+    const custom = paletteDefs
+      .filter((p) => p.custom)
+      .map((p) => ({ name: p.name, ...paletteColors(p) }));
+    window.localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(custom));
+  } catch (e) {
+    console.warn('Could not persist palettes to localStorage.', e);
+  }
+}
+
+function loadCustomPalettes() {
+  try {
+    const raw = window.localStorage.getItem(PALETTE_STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(stored)) return;
+    for (const p of stored) {
+      if (p && typeof p.name === 'string' && !validatePaletteColors(p)) {
+        registerPalette({ name: p.name, ...paletteColors(p), custom: true });
+      }
+    }
+  } catch (e) {
+    console.warn('Stored palettes ignored.', e);
+  }
+}
+
+function exportPalette(palette) {
+  const data = {
+    format: PALETTE_FORMAT,
+    version: PALETTE_VERSION,
+    name: palette.name,
+    ...paletteColors(palette)
+  };
+  saveJSON(data, `clickfield-palette_${palette.name.replace(/\s+/g, '-')}.json`);
+}
+
+function importPalette(data, sourceLabel) {
+  if (data.version !== PALETTE_VERSION) {
+    showNotice(`Can't load ${sourceLabel}: unsupported palette version ${data.version}.`, 'error');
+    return;
+  }
+  const error = validatePaletteColors(data);
+  if (error) {
+    showNotice(`Can't load ${sourceLabel}: ${error}.`, 'error');
+    return;
+  }
+  addCustomPalette({ name: String(data.name || 'Imported'), ...paletteColors(data) });
+  reportPaletteContrast(`Loaded palette ${currentPalette().name}`);
+}
+
+function reportPaletteContrast(prefix) {
+  const low = paletteContrastWarnings(currentPalette());
+  if (low.length) {
+    showNotice(`${prefix}; low contrast on ${low.join(', ')}.`, 'error');
+  } else {
+    showNotice(`${prefix}.`);
+  }
+}
+
+// "bg,primary,secondary,accent,name" (hex without '#', name as base64url
+// UTF-8 so commas and '%' survive), only for palettes that aren't built in —
+// other browsers don't know them by index.
+function encodePaletteParam() {
+  if (paletteIndex < BUILTIN_PALETTE_COUNT) return '';
+  const palette = paletteDefs[paletteIndex];
+  const name = bytesToBase64Url(new TextEncoder().encode(palette.name));
+  return [...PALETTE_SLOTS.map((slot) => palette[slot].slice(1)), name].join(',');
+}
+
+// The shared palette, or null if the value is missing or malformed.
+function decodePaletteParam(value) {
+  if (!value) return null;
+  const fields = value.split(',');
+  if (fields.length !== PALETTE_SLOTS.length + 1) return null;
+  const nameBytes = base64UrlToBytes(fields[PALETTE_SLOTS.length]);
+  if (!nameBytes) return null;
+  const palette = { name: new TextDecoder().decode(nameBytes).trim() || 'Shared' };
+  PALETTE_SLOTS.forEach((slot, i) => {
+    palette[slot] = `#${fields[i]}`;
+  });
+  return validatePaletteColors(palette) ? null : palette;
+}
+
+function copyPaletteLink() {
+  // the hash lags behind edits by the debounce; link the current state
+  const link = `${window.location.href.split('#')[0]}#${encodeURLState()}`;
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard
+      .writeText(link)
+      .then(() => showNotice('Palette link copied.'))
+      .catch(() => window.prompt('Copy this link:', link));
+  } else {
+    window.prompt('Copy this link:', link);
+  }
+}
+
+// --- palette from an image: coarse color histogram, the most common color
+// is the background, then the most common colors far enough from it and
+// from each other become the fills.
+
+function isImageFile(file) {
+  return (file.type && file.type.startsWith('image/')) || IMAGE_FILE_PATTERN.test(file.name);
+}
+
+function paletteFromImage(file) {
+  if (!window.createImageBitmap) {
+    showNotice('Palettes from images are not supported in this browser.', 'error');
+    return;
+  }
+  window
+    .createImageBitmap(file)
+    .then((bitmap) => {
+      const canvasEl = document.createElement('canvas');
+      canvasEl.width = PALETTE_IMAGE_SIZE;
+      canvasEl.height = PALETTE_IMAGE_SIZE;
+      const g = canvasEl.getContext('2d');
+      g.drawImage(bitmap, 0, 0, PALETTE_IMAGE_SIZE, PALETTE_IMAGE_SIZE);
+      const pixels = g.getImageData(0, 0, PALETTE_IMAGE_SIZE, PALETTE_IMAGE_SIZE).data;
+
+      const name = file.name.replace(/\.[^.]+$/, '') || 'Image';
+      const palette = ensurePaletteContrast(extractPalette(pixels, name));
+      addCustomPalette(palette);
+      reportPaletteContrast(`Palette ${currentPalette().name} from ${file.name}`);
+    })
+    .catch(() => {
+      showNotice(`Can't read ${file.name} as an image.`, 'error');
+    });
+}
+
+// pixels: RGBA bytes. Colors are bucketed at 4 bits per channel and each
+// bucket reports its average color.
+function extractPalette(pixels, name) {
+  const buckets = new Map();
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue; // mostly transparent
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    const id = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(id) || { n: 0, r: 0, g: 0, b: 0 };
+    bucket.n++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(id, bucket);
+  }
+
+  const ranked = [...buckets.values()]
+    .sort((a, b) => b.n - a.n)
+    .map((k) => [k.r / k.n, k.g / k.n, k.b / k.n]);
+  if (ranked.length === 0) ranked.push([255, 255, 255]);
+
+  const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+  const picked = [ranked[0]];
+  for (const minDistance of [96, 64, 32, 0]) {
+    for (const c of ranked) {
+      if (picked.length > PALETTE_FILL_SLOTS.length) break;
+      if (picked.every((p) => distance(p, c) > minDistance)) picked.push(c);
+    }
+  }
+  // a flat image still needs fills
+  while (picked.length <= PALETTE_FILL_SLOTS.length) picked.push(picked[picked.length - 1]);
+
+  const toHex = (c) => `#${c.map((v) => round(v).toString(16).padStart(2, '0')).join('')}`;
+  const palette = { name };
+  PALETTE_SLOTS.forEach((slot, i) => {
+    palette[slot] = toHex(picked[i]);
+  });
+  return palette;
+}
+
+// --- editor panel
+
+function paletteEditorHasFocus() {
+  return panelHasFocus(paletteEditor);
+}
+
+function togglePaletteEditor() {
+  if (!paletteEditor) paletteEditor = buildPaletteEditor();
+  toggleSidePanel(paletteEditor, fillPaletteEditor);
+}
+
+function buildPaletteEditor() {
+  const el = createPanel('right:14px;top:40px');
+
+  const fields = {};
+  const row = (labelText, input) => panelRow(el, labelText, input);
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.size = 18;
+  name.addEventListener('change', () => applyPaletteEditorFields(true));
+  fields.name = row('name', name);
+
+  for (const slot of PALETTE_SLOTS) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.addEventListener('input', () => applyPaletteEditorFields(false));
+    input.addEventListener('change', () => applyPaletteEditorFields(true));
+    fields[slot] = row(slot, input);
+  }
+
+  const warning = document.createElement('div');
+  warning.style.color = '#c62828';
+  el.appendChild(warning);
+
+  const button = (labelText, onClick) => {
+    const b = document.createElement('button');
+    b.textContent = labelText;
+    b.style.marginRight = '4px';
+    b.addEventListener('click', onClick);
+    el.appendChild(b);
+  };
+  button('new', () => {
+    const p = currentPalette();
+    addCustomPalette({ ...paletteColors(p), name: `${p.name} copy` });
+  });
+  button('delete', deleteCurrentPalette);
+  button('export', () => exportPalette(currentPalette()));
+  button('copy link', copyPaletteLink);
+  button('from image…', openFilePicker);
+
+  el.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') el.style.display = 'none';
+  });
+
+  document.body.appendChild(el);
+  return { el, fields, warning };
+}
+
+function fillPaletteEditor() {
+  const palette = paletteDefs[paletteIndex];
+  const f = paletteEditor.fields;
+  f.name.value = palette.name;
+  for (const slot of PALETTE_SLOTS) f[slot].value = palette[slot];
+  updatePaletteEditorWarning();
+}
+
+function updatePaletteEditorWarning() {
+  const palette = paletteDefs[paletteIndex];
+  const low = paletteContrastWarnings(palette);
+  paletteEditor.warning.textContent = low.length
+    ? `low contrast vs bg: ${low.join(', ')}`
+    : palette.custom
+      ? ''
+      : 'built-in: edits make a custom copy';
+}
+
+// Built-in palettes stay as they are; the first edit switches to a copy.
+// commit = the user let go of a control (so it's worth saving).
+function applyPaletteEditorFields(commit) {
+  const f = paletteEditor.fields;
+  if (!paletteDefs[paletteIndex].custom) {
+    const base = paletteDefs[paletteIndex];
+    addCustomPalette({ ...paletteColors(base), name: `${base.name} custom` });
+  }
+
+  const palette = paletteDefs[paletteIndex];
+  for (const slot of PALETTE_SLOTS) {
+    if (isHexColor(f[slot].value)) palette[slot] = f[slot].value.toLowerCase();
+  }
+  const name = f.name.value.trim();
+  if (name && name !== palette.name && !paletteDefs.some((p) => p.name === name)) {
+    palette.name = name;
+  }
+  f.name.value = palette.name;
+
+  updatePaletteEditorWarning();
+  if (commit) saveCustomPalettes();
+}
+
+function deleteCurrentPalette() {
+  const palette = paletteDefs[paletteIndex];
+  if (!palette.custom) {
+    showNotice('Built-in palettes can\'t be deleted.', 'error');
+    return;
+  }
+  paletteDefs.splice(paletteIndex, 1);
+  paletteIndex = 0;
+  saveCustomPalettes();
+  fillPaletteEditor();
+  showNotice(`Deleted palette ${palette.name}`);
+}
+
+// -------------------- file picker & drop --------------------
+
+function initFileDrop() {
+  if (typeof window === 'undefined') return;
+
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+  });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const files = e.dataTransfer ? e.dataTransfer.files : null;
+    if (!files || files.length === 0) return;
+
+    if (isSampleFile(files[0])) {
+      handleSampleDrop(files[0], findTileAt(e.clientX, e.clientY), e.shiftKey);
+    } else if (isImageFile(files[0])) {
+      paletteFromImage(files[0]);
+    } else {
+      handleIncomingFile(files[0]);
+    }
+  });
+}
+
+function openFilePicker() {
+  if (!fileInputEl) {
+    fileInputEl = document.createElement('input');
+    fileInputEl.type = 'file';
+    fileInputEl.accept = '.json,application/json,.scl,.kbm,image/*';
+    fileInputEl.style.display = 'none';
+    fileInputEl.addEventListener('change', () => {
+      const file = fileInputEl.files && fileInputEl.files[0];
+      if (file && isImageFile(file)) {
+        paletteFromImage(file);
+      } else if (file) {
+        handleIncomingFile(file);
+      }
+      fileInputEl.value = '';
+    });
+    document.body.appendChild(fileInputEl);
+  }
+  fileInputEl.click();
+}
+
+function handleIncomingFile(file) {
+  file
+    .text()
+    .then((textContent) => {
+      if (/\.scl$/i.test(file.name)) {
+        importScala(textContent, file.name);
+        return;
+      }
+      if (/\.kbm$/i.test(file.name)) {
+        importKeyboardMap(textContent, file.name);
+        return;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(textContent);
+      } catch (e) {
+        showNotice(`Can't load ${file.name}: not valid JSON.`, 'error');
+        return;
+      }
+      if (data && data.format === SCENE_BANK_FORMAT) {
+        importSceneBank(data, file.name);
+      } else if (data && data.format === PALETTE_FORMAT) {
+        importPalette(data, file.name);
+      } else {
+        loadComposition(data, file.name);
+      }
+    })
+    .catch(() => {
+      showNotice(`Can't read ${file.name}.`, 'error');
+    });
+}
+
+// -------------------- tuning --------------------
+
+// "8/7" or "3" → number (NaN if malformed).
+function parseRatio(s) {
+  const m = /^\s*(\d+)\s*(?:\/\s*(\d+))?\s*$/.exec(s);
+  if (!m) return NaN;
+  const den = m[2] ? parseInt(m[2], 10) : 1;
+  return den > 0 ? parseInt(m[1], 10) / den : NaN;
+}
+
+function ratioTuning(id, name, labels) {
+  return {
+    id,
+    name,
+    degrees: labels.map((label) => ({ ratio: parseRatio(label), label })),
+    period: 2,
+    periodLabel: '2/1',
+    keyboard: null
+  };
+}
+
+function edoTuning(n) {
+  const degrees = [];
+  for (let k = 0; k < n; k++) {
+    degrees.push({ ratio: Math.pow(2, k / n), label: `${k}\\${n}` });
+  }
+  return { id: `edo${n}`, name: `${n}-EDO`, degrees, period: 2, periodLabel: '2/1', keyboard: null };
+}
+
+// Partch-style tonality diamond: every odd a/b, octave-reduced, deduplicated.
+function tonalityDiamond(odds) {
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const seen = new Map();
+  for (const a of odds) {
+    for (const b of odds) {
+      let num = a;
+      let den = b;
+      while (num / den >= 2) den *= 2;
+      while (num / den < 1) num *= 2;
+      const g = gcd(num, den);
+      num /= g;
+      den /= g;
+      seen.set(`${num}/${den}`, num / den);
+    }
+  }
+  return [...seen.entries()].sort((x, y) => x[1] - y[1]).map((entry) => entry[0]);
+}
+
+function tuningChoices() {
+  return customTuning ? [...TUNING_PRESETS, customTuning] : TUNING_PRESETS;
+}
+
+function cycleTuning() {
+  const choices = tuningChoices();
+  const index = choices.findIndex((t) => t.id === tuning.id && t.name === tuning.name);
+  setTuning(choices[(index + 1) % choices.length]);
+  showNotice(`Tuning: ${tuning.name}`);
+}
+
+// Keeps an imported keyboard mapping across tuning changes.
+function setTuning(next) {
+  tuning = { ...next, keyboard: tuning.keyboard };
+}
+
+function promptRootFreq() {
+  if (typeof window === 'undefined' || !window.prompt) return;
+  const input = window.prompt(
+    `Root frequency in Hz (${MIN_ROOT_FREQ}–${MAX_ROOT_FREQ}):`,
+    String(+rootFreq.toFixed(3))
+  );
+  if (input == null) return;
+
+  const f = parseFloat(input);
+  if (!Number.isFinite(f) || f < MIN_ROOT_FREQ || f > MAX_ROOT_FREQ) {
+    showNotice(`Root must be ${MIN_ROOT_FREQ}–${MAX_ROOT_FREQ} Hz.`, 'error');
+    return;
+  }
+  rootFreq = f;
+}
+
+// Scale degree (unbounded, may be negative) sounding on a given row.
+function tuningDegreeForRow(row) {
+  const kb = tuning.keyboard;
+  if (!kb) return row;
+  return keyboardDegree(kb, kb.middleNote + row);
+}
+
+// .kbm: which degree a key plays; unmapped keys take the mapped key below.
+function keyboardDegree(kb, keyNumber) {
+  const offset = keyNumber - kb.middleNote;
+  if (kb.mapSize === 0) return offset;
+
+  const formalOctave = kb.octaveDegree || tuning.degrees.length;
+  const idx = ((offset % kb.mapSize) + kb.mapSize) % kb.mapSize;
+  const octaves = Math.floor(offset / kb.mapSize);
+  for (let i = idx; i >= 0; i--) {
+    if (kb.mapping[i] != null) return kb.mapping[i] + octaves * formalOctave;
+  }
+  return octaves * formalOctave;
+}
+
+function tuningRatioForDegree(degree) {
+  const n = tuning.degrees.length;
+  const idx = ((degree % n) + n) % n;
+  const periods = Math.floor(degree / n);
+  return tuning.degrees[idx].ratio * Math.pow(tuning.period, periods);
+}
+
+function tuningRatioForTile(tile) {
+  const lattice = latticeRatioForTile(tile);
+  if (lattice) return lattice.p / lattice.q;
+  return tuningRatioForDegree(tuningDegreeForRow(tile.row));
+}
+
+// "7/4", with ' per period up (, per period down), Scala-style.
+function tuningLabelForTile(tile) {
+  const o = tile.overrides;
+  if (o && (o.ratio || o.octave)) {
+    const base = o.ratio || tuningLabelForTile({ ...tile, overrides: null });
+    return base + (o.octave > 0 ? "'".repeat(o.octave) : ','.repeat(-o.octave));
+  }
+
+  const lattice = latticeRatioForTile(tile);
+  if (lattice) return `${lattice.p}/${lattice.q}`;
+
+  const degree = tuningDegreeForRow(tile.row);
+  const n = tuning.degrees.length;
+  const periods = Math.floor(degree / n);
+  const label = tuning.degrees[((degree % n) + n) % n].label;
+  return label + (periods > 0 ? "'".repeat(periods) : ','.repeat(-periods));
+}
+
+function tuningChromeLabel() {
+  const root = `@ ${+rootFreq.toFixed(2)} Hz`;
+  const mapping = PITCH_MAPPINGS.find((m) => m.id === pitchMapping);
+  if (mapping.step) return `${mapping.label} in ${latticeOctaves} oct ${root}`;
+  const kb = tuning.keyboard ? ' + kbm' : '';
+  return `tuning ${tuning.name}${kb} ${root}`;
+}
+
+function cyclePitchMapping() {
+  const i = PITCH_MAPPINGS.findIndex((m) => m.id === pitchMapping);
+  const next = PITCH_MAPPINGS[(i + 1) % PITCH_MAPPINGS.length];
+  pitchMapping = next.id;
+  showNotice(`Pitch mapping: ${next.label}`);
+}
+
+// Exact lattice ratio { p, q } for a tile, or null in row mapping. Columns
+// count fifths and rows count the mapping's step from the grid center, then
+// the result folds into [1, 2^latticeOctaves).
+function latticeRatioForTile(tile) {
+  const mapping = PITCH_MAPPINGS.find((m) => m.id === pitchMapping);
+  if (!mapping || !mapping.step) return null;
+
+  const a = tile.col - floor((gridCols - 1) / 2);
+  const b = tile.row - floor((gridRows - 1) / 2);
+  let p = 1;
+  let q = 1;
+  const stack = (num, den, n) => {
+    for (let i = 0; i < Math.abs(n); i++) {
+      if (n > 0) {
+        p *= num;
+        q *= den;
+      } else {
+        p *= den;
+        q *= num;
+      }
+    }
+  };
+  stack(3, 2, a);
+  stack(mapping.step[0], mapping.step[1], b);
+  return reduceRatio(p, q, latticeOctaves);
+}
+
+// Lowest terms, folded by octaves into [1, 2^octaves).
+function reduceRatio(p, q, octaves) {
+  const gcd = (x, y) => (y ? gcd(y, x % y) : x);
+  const top = Math.pow(2, octaves);
+  while (p / q >= top) {
+    if (p % 2 === 0) p /= 2;
+    else q *= 2;
+  }
+  while (p / q < 1) {
+    if (q % 2 === 0) q /= 2;
+    else p *= 2;
+  }
+  const g = gcd(p, q);
+  return { p: p / g, q: q / g };
+}
+
+// Scala .scl → { tuning } or { error }. Pitches with a '.' are cents,
+// anything else a ratio; the last pitch is the period.
+function parseScala(textContent, fallbackName) {
+  const lines = textContent
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith('!'));
+  if (lines.length < 2) return { error: 'missing description or note count' };
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1], 10);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_TUNING_DEGREES) {
+    return { error: `note count must be 1–${MAX_TUNING_DEGREES}` };
+  }
+
+  const pitches = [];
+  for (let i = 2; i < lines.length && pitches.length < count; i++) {
+    const token = lines[i].trim().split(/\s+/)[0];
+    if (!token) continue;
+    let ratio;
+    if (token.includes('.')) {
+      const cents = parseFloat(token);
+      ratio = Number.isFinite(cents) ? Math.pow(2, cents / 1200) : NaN;
+    } else {
+      ratio = parseRatio(token);
+    }
+    if (!(ratio > 0)) return { error: `pitch ${pitches.length + 1} "${token}" is not valid` };
+    pitches.push({ ratio, label: token });
+  }
+  if (pitches.length < count) {
+    return { error: `expected ${count} pitches, found ${pitches.length}` };
+  }
+
+  const period = pitches[count - 1];
+  if (!(period.ratio > 1)) return { error: 'the period (last pitch) must be above 1/1' };
+
+  return {
+    tuning: {
+      id: 'custom',
+      name: description || fallbackName,
+      degrees: [{ ratio: 1, label: '1/1' }, ...pitches.slice(0, count - 1)],
+      period: period.ratio,
+      periodLabel: period.label,
+      keyboard: null
+    }
+  };
+}
+
+// Scala .kbm → { keyboard } or { error }.
+function parseKeyboardMap(textContent) {
+  const values = textContent
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith('!'))
+    .map((line) => line.trim().split(/\s+/)[0])
+    .filter(Boolean);
+  if (values.length < 7) return { error: 'expected 7 header values' };
+
+  const mapSize = parseInt(values[0], 10);
+  const middleNote = parseInt(values[3], 10);
+  const referenceNote = parseInt(values[4], 10);
+  const referenceFreq = parseFloat(values[5]);
+  const octaveDegree = parseInt(values[6], 10);
+  if (!Number.isInteger(mapSize) || mapSize < 0 || mapSize > MAX_TUNING_DEGREES) {
+    return { error: 'invalid map size' };
+  }
+  if (!Number.isInteger(middleNote) || !Number.isInteger(referenceNote)) {
+    return { error: 'invalid middle / reference note' };
+  }
+  if (!(referenceFreq > 0)) return { error: 'invalid reference frequency' };
+  if (!Number.isInteger(octaveDegree) || octaveDegree < 0) {
+    return { error: 'invalid formal octave degree' };
+  }
+
+  const mapping = [];
+  for (let i = 0; i < mapSize; i++) {
+    const v = values[7 + i];
+    if (v === undefined || v === 'x') {
+      mapping.push(null);
+      continue;
+    }
+    const degree = parseInt(v, 10);
+    if (!Number.isInteger(degree)) return { error: `mapping entry ${i} "${v}" is not valid` };
+    mapping.push(degree);
+  }
+
+  return { keyboard: { mapSize, middleNote, referenceNote, referenceFreq, octaveDegree, mapping } };
+}
+
+function importScala(textContent, sourceLabel) {
+  const parsed = parseScala(textContent, sourceLabel.replace(/\.scl$/i, ''));
+  if (parsed.error) {
+    showNotice(`Can't load ${sourceLabel}: ${parsed.error}.`, 'error');
+    return;
+  }
+  customTuning = parsed.tuning;
+  setTuning(customTuning);
+  showNotice(`Tuning: ${tuning.name} (${tuning.degrees.length} notes)`);
+}
+
+function importKeyboardMap(textContent, sourceLabel) {
+  const parsed = parseKeyboardMap(textContent);
+  if (parsed.error) {
+    showNotice(`Can't load ${sourceLabel}: ${parsed.error}.`, 'error');
+    return;
+  }
+  tuning = { ...tuning, keyboard: parsed.keyboard };
+
+  // the reference key sounds at the reference frequency
+  const kb = parsed.keyboard;
+  const f = kb.referenceFreq / tuningRatioForDegree(keyboardDegree(kb, kb.referenceNote));
+  rootFreq = constrain(f, MIN_ROOT_FREQ, MAX_ROOT_FREQ);
+  showNotice(`Keyboard map ${sourceLabel} applied (root ${+rootFreq.toFixed(2)} Hz)`);
+}
+
+// Presets are stored by id; imported scales carry their pitches.
+function serializePitchMap() {
+  return { mapping: pitchMapping, octaves: latticeOctaves };
+}
+
+function serializeTuning() {
+  if (tuning.id === 'custom') return { ...tuning };
+  return { id: tuning.id, keyboard: tuning.keyboard };
+}
+
+// Tuning / root stored in a scene or snapshot (both optional).
+function applyStoredTuning(record) {
+  if (record.tuning != null) {
+    const stored = record.tuning;
+    const preset = TUNING_PRESETS.find((t) => t.id === stored.id);
+    const base = preset || { ...stored, keyboard: null };
+    if (!preset) customTuning = base;
+    tuning = { ...base, keyboard: stored.keyboard || null };
+  }
+  if (Number.isFinite(record.rootFreq)) {
+    rootFreq = constrain(record.rootFreq, MIN_ROOT_FREQ, MAX_ROOT_FREQ);
+  }
+  if (record.pitchMap != null) {
+    pitchMapping = record.pitchMap.mapping;
+    latticeOctaves = record.pitchMap.octaves;
+  }
+}
+
+function validateStoredTuning(record) {
+  if (record.rootFreq != null && !Number.isFinite(record.rootFreq)) {
+    return 'rootFreq is not a number';
+  }
+  const pm = record.pitchMap;
+  if (pm != null) {
+    if (typeof pm !== 'object' || !PITCH_MAPPINGS.some((m) => m.id === pm.mapping)) {
+      return 'unknown pitch mapping';
+    }
+    if (!LATTICE_OCTAVE_RANGES.includes(pm.octaves)) return 'invalid lattice octave range';
+  }
+  const t = record.tuning;
+  if (t == null) return null;
+  if (typeof t !== 'object') return 'tuning is not an object';
+
+  if (t.id !== 'custom') {
+    if (!TUNING_PRESETS.some((p) => p.id === t.id)) return `unknown tuning "${t.id}"`;
+  } else {
+    if (
+      !Array.isArray(t.degrees) || t.degrees.length < 1 ||
+      t.degrees.length > MAX_TUNING_DEGREES ||
+      t.degrees.some((d) => !d || !(d.ratio > 0) || typeof d.label !== 'string')
+    ) {
+      return 'tuning has invalid degrees';
+    }
+    if (!(t.period > 1)) return 'tuning period must be above 1/1';
+  }
+
+  if (t.keyboard != null) {
+    const kb = t.keyboard;
+    if (
+      typeof kb !== 'object' || !Number.isInteger(kb.mapSize) || kb.mapSize < 0 ||
+      !Array.isArray(kb.mapping) || kb.mapping.length !== kb.mapSize ||
+      kb.mapping.some((m) => m !== null && !Number.isInteger(m)) ||
+      !Number.isInteger(kb.middleNote) || !Number.isInteger(kb.octaveDegree)
+    ) {
+      return 'tuning keyboard map is invalid';
+    }
+  }
+  return null;
+}
+
+// -------------------- voice pool --------------------
+
+// Reserves a slot for a grain starting at `start` (audio time), stealing or
+// choking as needed. Returns the voice, or null when the grain is dropped.
+// Voice: { tile, start, attack, end, peak, gain, sources }
+function allocateVoice(ctx, tile, start, attack, duration) {
+  pruneVoices(ctx.currentTime);
+
+  // per-tile cap: a retrigger chokes that tile's oldest voice
+  const own = voicePool.filter((v) => v.tile === tile);
+  if (own.length >= MAX_VOICES_PER_TILE) {
+    stealVoice(own[0], start);
+  }
+
+  if (voicePool.length >= maxConcurrentGrains()) {
+    const victim = pickVoiceToSteal(tile, start);
+    if (!victim) {
+      voiceStats.dropped++;
+      return null;
+    }
+    stealVoice(victim, start);
+  }
+
+  const voice = { tile, start, attack, end: start + duration, peak: 0, gain: null, sources: [] };
+  voicePool.push(voice);
+  return voice;
+}
+
+function pickVoiceToSteal(tile, at) {
+  if (voicePool.length === 0) return null;
+  switch (voiceStealPolicy) {
+    case 'quietest': {
+      let best = voicePool[0];
+      for (const v of voicePool) {
+        if (voiceLevelAt(v, at) < voiceLevelAt(best, at)) best = v;
+      }
+      return best;
+    }
+    case 'same tile':
+      // only ever replace this tile's own sound; otherwise drop the new one
+      return voicePool.find((v) => v.tile === tile) || null;
+    case 'oldest':
+    default:
+      return voicePool[0];
+  }
+}
+
+// Rough envelope level: linear attack, exponential fall to 0.0001 at end.
+function voiceLevelAt(voice, t) {
+  if (t <= voice.start) return voice.peak;
+  if (t < voice.start + voice.attack) return voice.peak * ((t - voice.start) / voice.attack);
+  const k = (t - voice.start - voice.attack) / max(1e-6, voice.end - voice.start - voice.attack);
+  return voice.peak * Math.pow(0.0001, min(1, k));
+}
+
+// Fills in the nodes once the grain is wired; onended frees the slot.
+function startVoice(voice, gain, sources, peak) {
+  voice.gain = gain;
+  voice.sources = sources;
+  voice.peak = peak;
+  sources[0].onended = () => releaseVoice(voice);
+}
+
+function releaseVoice(voice) {
+  const i = voicePool.indexOf(voice);
+  if (i >= 0) voicePool.splice(i, 1);
+}
+
+// Fades a voice out quickly from `at` and frees its slot now.
+function stealVoice(voice, at) {
+  releaseVoice(voice);
+  voiceStats.stolen++;
+  if (!voice.gain) return;
+
+  const ctx = voice.gain.context || audioCtx;
+  const t = max(at, ctx ? ctx.currentTime : at);
+  const g = voice.gain.gain;
+  if (g.cancelAndHoldAtTime) {
+    g.cancelAndHoldAtTime(t);
+  } else {
+    g.cancelScheduledValues(t);
+  }
+  g.setTargetAtTime(0, t, VOICE_CHOKE_S);
+  for (const source of voice.sources) {
+    try {
+      source.stop(t + VOICE_CHOKE_S * 6);
+    } catch (e) {
+      // not started yet on some engines; the gain is already closed
+    }
+  }
+}
+
+// Safety net for voices whose onended never arrived.
+function pruneVoices(now) {
+  voicePool = voicePool.filter((v) => v.end + VOICE_STALE_S > now);
+}
+
+function cycleVoiceStealPolicy() {
+  const i = VOICE_STEAL_POLICIES.indexOf(voiceStealPolicy);
+  voiceStealPolicy = VOICE_STEAL_POLICIES[(i + 1) % VOICE_STEAL_POLICIES.length];
+  showNotice(`Voice steal: ${voiceStealPolicy}`);
+}
+
+function voiceChromeLabel() {
+  return (
+    `voices ${voicePool.length}/${maxConcurrentGrains()} (${voiceStealPolicy}) · ` +
+    `stolen ${voiceStats.stolen} · dropped ${voiceStats.dropped}`
+  );
+}
+
+// -------------------- audio engine --------------------
+
+function initAudio() {
+  if (audioCtx && audioCtx.state !== 'closed') return;
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) {
+    console.warn('Web Audio API not supported in this browser.');
+    return;
+  }
+  audioCtx = new AudioCtx();
+  fxChain = buildFxChain(audioCtx);
+  masterGain = fxChain.master;
+
+  startScheduler();
+}
+
+function ensureAudioRunning() {
+  if (!audioCtx) {
+    initAudio();
+  }
+  if (!audioCtx) return;
+  if (audioCtx.state === 'suspended') {
+    audioCtx.resume().catch(() => {});
+  }
+}
+
+function triggerGrainFromTile(tile, amp, when) {
+  if (tile.overrides && tile.overrides.mute) return;
+
+  sendMidiForTile(tile, amp, when);
+
+  ensureAudioRunning();
+  if (!audioCtx) return;
+
+  playGrainForTile(tile, amp, when, liveAudioTarget());
+}
+
+// Voices render into a target { ctx, output, live }: the live context and
+// master bus, or an OfflineAudioContext for renderAudio().
+function liveAudioTarget() {
+  return audioCtx
+    ? { ctx: audioCtx, output: masterGain, sends: fxChain.sends, live: true }
+    : null;
+}
+
+// One grain function per entry in VOICE_TYPES.
+const SYNTH_VOICES = {
+  circle: playBellGrain, // bell / chime
+  bar: playWoodBlockGrain, // woodblock-ish tick
+  block: playChordGrain, // chord cluster
+  diagonal: playMetallicGrain // metallic / FM-y
+};
+
+function playGrainForTile(tile, amp, when, target) {
+  const sample = sampleForTile(tile);
+  if (sample) {
+    playSampleGrain(tile, amp, when, target, sample);
+    return;
+  }
+
+  const voice = SYNTH_VOICES[tileVoice(tile)] || playBellGrain;
+  voice(tile, amp, when, target);
+}
+
+// Start time for a grain: the booked audio time, never in the past.
+function grainStartTime(ctx, when) {
+  return when != null ? Math.max(when, ctx.currentTime) : ctx.currentTime;
+}
+
+function baseFreqForTile(tile, octaveOffset = 0) {
+  // Each row picks the next degree of the active tuning, stacking periods
+  // upward as we run out of degrees; voices add whole octaves on top.
+  // A tile's own ratio / octave overrides win.
+  const o = tile.overrides;
+  const ratio = o && o.ratio ? parseRatio(o.ratio) : tuningRatioForTile(tile);
+  const octave = octaveOffset + (o ? o.octave : 0);
+  return rootFreq * ratio * Math.pow(2, octave);
+}
+
+function connectVoiceToOutput(gainNode, tile, target) {
+  const ctx = target.ctx;
+  const output = target.output;
+  if (!output) return;
+
+  const panNode = ctx.createStereoPanner
+    ? ctx.createStereoPanner()
+    : null;
+
+  if (panNode) {
+    const panVal = lerp(
+      -0.8,
+      0.8,
+      gridCols > 1 ? tile.col / (gridCols - 1) : 0.5
+    );
+    panNode.pan.setValueAtTime(panVal, ctx.currentTime);
+    gainNode.connect(panNode);
+    panNode.connect(output);
+  } else {
+    gainNode.connect(output);
+  }
+
+  // per-voice reverb / delay sends
+  const sends = target.sends && target.sends[tileVoice(tile)];
+  if (sends) {
+    const source = panNode || gainNode;
+    source.connect(sends.reverb);
+    source.connect(sends.delay);
+  }
+}
+
+function playBellGrain(tile, amp = 1.0, when = null, target = liveAudioTarget()) {
+  if (!target) return;
+  const ctx = target.ctx;
+
+  const now = grainStartTime(ctx, when);
+  const freq = baseFreqForTile(tile, 0);
+
+  const stateNorm =
+    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+
+  const duration = lerp(0.25, 0.9, amp);
+  const attack = 0.005;
+  const release = duration;
+  const totalDur = attack + release;
+
+  // voice pool (live playback only; renders keep every grain)
+  const voice = target.live ? allocateVoice(ctx, tile, now, attack, totalDur) : null;
+  if (target.live && !voice) return;
+
+  const osc1 = ctx.createOscillator();
+  const osc2 = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  osc1.type = 'sine';
+  osc2.type = 'sine';
+  osc1.frequency.value = freq;
+  osc2.frequency.value = freq * 2.01; // slightly detuned upper partial
+
+  let vel = 0.18;
+  if (tile.colorIndex === 2) vel *= 1.4; // accent
+  if (tile.colorIndex === 1) vel *= 0.85; // secondary
+  vel *= lerp(0.7, 1.3, amp);
+  vel *= lerp(0.8, 1.2, stateNorm);
+
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(vel, now + attack);
+  gain.gain.exponentialRampToValueAtTime(
+    0.0001,
+    now + attack + release
+  );
+
+  osc1.start(now);
+  osc2.start(now);
+  osc1.stop(now + totalDur + 0.05);
+  osc2.stop(now + totalDur + 0.05);
+
+  osc1.connect(gain);
+  osc2.connect(gain);
+  connectVoiceToOutput(gain, tile, target);
+  if (voice) startVoice(voice, gain, [osc1, osc2], vel);
+}
+
+function playWoodBlockGrain(tile, amp = 1.0, when = null, target = liveAudioTarget()) {
+  if (!target) return;
+  const ctx = target.ctx;
+
+  const now = grainStartTime(ctx, when);
+  const freq = baseFreqForTile(tile, 1) * 2; // higher, more percussive
+
+  const stateNorm =
+    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+
+  const duration = lerp(0.04, 0.14, 1.0 - stateNorm);
+  const attack = 0.001;
+  const release = duration;
+  const totalDur = attack + release;
+
+  const voice = target.live ? allocateVoice(ctx, tile, now, attack, totalDur) : null;
+  if (target.live && !voice) return;
+
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  osc.type = 'square';
+  // quick downward pitch sweep
+  osc.frequency.setValueAtTime(freq * 1.1, now);
+  osc.frequency.linearRampToValueAtTime(freq * 0.7, now + 0.04);
+
+  let vel = 0.22;
+  if (tile.colorIndex === 2) vel *= 1.2;
+  if (tile.colorIndex === 1) vel *= 0.9;
+  vel *= lerp(0.7, 1.3, amp);
+
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(vel, now + attack);
+  gain.gain.exponentialRampToValueAtTime(
+    0.0001,
+    now + attack + release
+  );
+
+  osc.start(now);
+  osc.stop(now + totalDur + 0.05);
+
+  osc.connect(gain);
+  connectVoiceToOutput(gain, tile, target);
+  if (voice) startVoice(voice, gain, [osc], vel);
+}
+
+function playChordGrain(tile, amp = 1.0, when = null, target = liveAudioTarget()) {
+  if (!target) return;
+  const ctx = target.ctx;
+
+  const now = grainStartTime(ctx, when);
+  const root = baseFreqForTile(tile, 0);
+  const third = root * (5 / 4); // major-ish 3rd
+  const fifth = root * (3 / 2); // 5th
+
+  const stateNorm =
+    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+
+  const duration = lerp(0.18, 0.6, stateNorm);
+  const attack = 0.006;
+  const release = duration;
+  const totalDur = attack + release;
+
+  const voice = target.live ? allocateVoice(ctx, tile, now, attack, totalDur) : null;
+  if (target.live && !voice) return;
+
+  const osc1 = ctx.createOscillator();
+  const osc2 = ctx.createOscillator();
+  const osc3 = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  osc1.type = 'triangle';
+  osc2.type = 'triangle';
+  osc3.type = 'triangle';
+  osc1.frequency.value = root;
+  osc2.frequency.value = third;
+  osc3.frequency.value = fifth;
+
+  let vel = 0.16;
+  if (tile.colorIndex === 2) vel *= 1.3;
+  if (tile.colorIndex === 1) vel *= 0.85;
+  vel *= lerp(0.7, 1.3, amp);
+
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(vel, now + attack);
+  gain.gain.exponentialRampToValueAtTime(
+    0.0001,
+    now + attack + release
+  );
+
+  osc1.start(now);
+  osc2.start(now);
+  osc3.start(now);
+  osc1.stop(now + totalDur + 0.05);
+  osc2.stop(now + totalDur + 0.05);
+  osc3.stop(now + totalDur + 0.05);
+
+  osc1.connect(gain);
+  osc2.connect(gain);
+  osc3.connect(gain);
+  connectVoiceToOutput(gain, tile, target);
+  if (voice) startVoice(voice, gain, [osc1, osc2, osc3], vel);
+}
+
+function playMetallicGrain(tile, amp = 1.0, when = null, target = liveAudioTarget()) {
+  if (!target) return;
+  const ctx = target.ctx;
+
+  const now = grainStartTime(ctx, when);
+  const base = baseFreqForTile(tile, 0);
+
+  const stateNorm =
+    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+
+  const duration = lerp(0.18, 0.7, amp);
+  const attack = 0.003;
+  const release = duration;
+  const totalDur = attack + release;
+
+  const voice = target.live ? allocateVoice(ctx, tile, now, attack, totalDur) : null;
+  if (target.live && !voice) return;
+
+  const osc = ctx.createOscillator();
+  const modOsc = ctx.createOscillator();
+  const modGain = ctx.createGain();
+  const gain = ctx.createGain();
+
+  osc.type = 'sine';
+  modOsc.type = 'sine';
+  osc.frequency.value = base;
+
+  const modDepth = base * 0.3;
+  modGain.gain.value = modDepth;
+  modOsc.frequency.value = base * 2.5;
+
+  // mod oscillator -> gain -> osc.frequency (FM)
+  modOsc.connect(modGain);
+  modGain.connect(osc.frequency);
+
+  let vel = 0.14;
+  if (tile.colorIndex === 2) vel *= 1.4;
+  if (tile.colorIndex === 1) vel *= 0.9;
+  vel *= lerp(0.7, 1.3, amp);
+  vel *= lerp(0.8, 1.2, stateNorm);
+
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(vel, now + attack);
+  gain.gain.exponentialRampToValueAtTime(
     0.0001,
     now + attack + release
   );
 
-  osc1.start(now);
-  osc2.start(now);
-  osc1.stop(now + totalDur + 0.05);
-  osc2.stop(now + totalDur + 0.05);
+  osc.start(now);
+  modOsc.start(now);
+  osc.stop(now + totalDur + 0.05);
+  modOsc.stop(now + totalDur + 0.05);
+
+  osc.connect(gain);
+  connectVoiceToOutput(gain, tile, target);
+  if (voice) startVoice(voice, gain, [osc, modOsc], vel);
+}
+
+function testBeep() {
+  ensureAudioRunning();
+  if (!audioCtx) return;
+
+  const ctx = audioCtx;
+  const now = ctx.currentTime;
+
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  osc.type = 'sine';
+  osc.frequency.value = 440;
+
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(0.3, now + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.25);
+
+  osc.connect(gain);
+  gain.connect(masterGain);
+
+  osc.start(now);
+  osc.stop(now + 0.3);
+}
+
+// -------------------- samples --------------------
+
+function isSampleFile(file) {
+  return (file.type && file.type.startsWith('audio/')) || SAMPLE_FILE_PATTERN.test(file.name);
+}
+
+// A tile's own sample, else its glyph family's slot; null → synth voice.
+function sampleForTile(tile) {
+  const own = tile.overrides && tile.overrides.sample;
+  if (own && sampleLibrary.has(own)) return sampleLibrary.get(own);
+  const slot = sampleSlots[tile.moduleType];
+  return slot ? sampleLibrary.get(slot) || null : null;
+}
+
+// Decoding doesn't need the live context (or a user gesture).
+function decodeSampleData(data) {
+  const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineCtx) return Promise.reject(new Error('Web Audio is not available'));
+  const decoder = new OfflineCtx(2, 1, RENDER_SAMPLE_RATE);
+  return decoder.decodeAudioData(data.slice(0));
+}
+
+function handleSampleDrop(file, tile, tileOnly) {
+  if (!tile) {
+    showNotice('Drop samples on a tile (Shift: just that tile).', 'error');
+    return;
+  }
+
+  file
+    .arrayBuffer()
+    .then((data) =>
+      decodeSampleData(data).then((buffer) => {
+        const id = `s${Date.now().toString(36)}${floor(Math.random() * 1296).toString(36)}`;
+        sampleLibrary.set(id, { id, name: file.name, buffer, reversed: null });
+        storeSampleData(id, file.name, data);
+
+        if (tileOnly) {
+          tile.overrides = cleanTileOverrides({ ...(tile.overrides || {}), sample: id });
+          showNotice(`${file.name} → tile ${tile.col},${tile.row}`);
+        } else {
+          sampleSlots[tile.moduleType] = id;
+          saveSampleSlots();
+          showNotice(`${file.name} → ${tile.moduleType} tiles`);
+        }
+        // the sample this replaced may now be unused
+        pruneStoredSamples();
+        triggerTileAnimation(tile, true);
+        triggerGrainFromTile(tile, 1.0);
+      })
+    )
+    .catch((err) => {
+      showNotice(`Can't load ${file.name}: ${err.message || 'not a supported audio file'}.`, 'error');
+    });
+}
+
+function clearSampleAt(tile) {
+  if (!tile) return;
+  const type = tile.moduleType;
+  const cleared = [];
+  if (tile.overrides && tile.overrides.sample) {
+    tile.overrides = cleanTileOverrides({ ...tile.overrides, sample: null });
+    cleared.push(`tile ${tile.col},${tile.row}`);
+  }
+  if (sampleSlots[type]) {
+    sampleSlots[type] = null;
+    saveSampleSlots();
+    cleared.push(`${type} tiles`);
+  }
+  if (cleared.length === 0) return;
+  pruneStoredSamples();
+  showNotice(`Cleared sample for ${cleared.join(' and ')}`);
+}
+
+// Ids still in use by a slot, a tile or a stored scene — including banks
+// saved for other grid sizes. null when the stored banks can't be read, so
+// nothing is known to be safe to delete.
+function referencedSampleIds() {
+  const ids = new Set(Object.values(sampleSlots).filter(Boolean));
+  const collect = (list) => {
+    if (!Array.isArray(list)) return;
+    for (const t of list) {
+      if (t && t.overrides && t.overrides.sample) ids.add(t.overrides.sample);
+    }
+  };
+  collect(tiles);
+  for (const scene of scenes) {
+    if (scene) collect(scene.tiles);
+  }
+
+  try {
+    const storage = window.localStorage;
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (!key || !key.startsWith(SCENE_STORAGE_PREFIX) || key === sceneStorageKey()) continue;
+      const bank = JSON.parse(storage.getItem(key));
+      for (const scene of (bank && bank.scenes) || []) {
+        if (scene) collect(scene.tiles);
+      }
+    }
+  } catch (e) {
+    return null;
+  }
+  return ids;
+}
+
+// Tile state shapes the sample like stateNorm shapes the synths: later
+// states start further in and play shorter; odd states play reversed.
+function sampleRegionForTile(tile, buffer) {
+  const stateNorm = tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+  const start = buffer.duration * stateNorm * 0.6;
+  const length = min(SAMPLE_MAX_GRAIN_S, (buffer.duration - start) * lerp(1.0, 0.3, stateNorm));
+  return { start, length, reverse: tile.state % 2 === 1 };
+}
+
+function reversedSampleBuffer(sample) {
+  if (!sample.reversed) {
+    const src = sample.buffer;
+    const out = new AudioBuffer({
+      numberOfChannels: src.numberOfChannels,
+      length: src.length,
+      sampleRate: src.sampleRate
+    });
+    for (let ch = 0; ch < src.numberOfChannels; ch++) {
+      out.getChannelData(ch).set(Float32Array.from(src.getChannelData(ch)).reverse());
+    }
+    sample.reversed = out;
+  }
+  return sample.reversed;
+}
+
+function playSampleGrain(tile, amp = 1.0, when = null, target = liveAudioTarget(), sample) {
+  if (!target) return;
+  const ctx = target.ctx;
+
+  const now = grainStartTime(ctx, when);
+  // the root plays the file as recorded; the tile's ratio transposes it
+  const rate = baseFreqForTile(tile, 0) / rootFreq;
+  const region = sampleRegionForTile(tile, sample.buffer);
+  if (region.length <= 0) return;
+
+  const attack = 0.003;
+  const totalDur = region.length / rate;
+
+  const voice = target.live ? allocateVoice(ctx, tile, now, attack, totalDur) : null;
+  if (target.live && !voice) return;
+
+  const src = ctx.createBufferSource();
+  const gain = ctx.createGain();
+  src.buffer = region.reverse ? reversedSampleBuffer(sample) : sample.buffer;
+  src.playbackRate.value = rate;
+  const offset = region.reverse
+    ? sample.buffer.duration - region.start - region.length
+    : region.start;
+
+  let vel = 0.5;
+  if (tile.colorIndex === 2) vel *= 1.3;
+  if (tile.colorIndex === 1) vel *= 0.85;
+  vel *= lerp(0.7, 1.3, amp);
+
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(vel, now + attack);
+  gain.gain.setValueAtTime(vel, now + max(attack, totalDur * 0.6));
+  gain.gain.exponentialRampToValueAtTime(0.0001, now + totalDur);
+
+  src.start(now, max(0, offset), region.length);
+  src.stop(now + totalDur + 0.05);
+
+  src.connect(gain);
+  connectVoiceToOutput(gain, tile, target);
+  if (voice) startVoice(voice, gain, [src], vel);
+}
+
+function sampleChromeLabel() {
+  const parts = GLYPH_FAMILIES.map((f) => f.name)
+    .filter((type) => sampleSlots[type] && sampleLibrary.has(sampleSlots[type]))
+    .map((type) => `${type} ${sampleLibrary.get(sampleSlots[type]).name}`);
+  return parts.length ? ` · samples ${parts.join(', ')}` : '';
+}
+
+// --- persistence: audio data in IndexedDB, slot assignment in localStorage
+
+function openSampleDB() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = window.indexedDB.open(SAMPLE_DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(SAMPLE_DB_STORE, { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function storeSampleData(id, name, data) {
+  openSampleDB()
+    .then((db) => {
+      const tx = db.transaction(SAMPLE_DB_STORE, 'readwrite');
+      tx.objectStore(SAMPLE_DB_STORE).put({ id, name, data });
+      tx.oncomplete = () => db.close();
+    })
+    .catch((err) => console.warn('Could not cache sample in IndexedDB.', err));
+}
+
+function pruneStoredSamples() {
+  const keep = referencedSampleIds();
+  if (!keep) return;
+  for (const id of [...sampleLibrary.keys()]) {
+    if (!keep.has(id)) sampleLibrary.delete(id);
+  }
+  openSampleDB()
+    .then((db) => {
+      const tx = db.transaction(SAMPLE_DB_STORE, 'readwrite');
+      const store = tx.objectStore(SAMPLE_DB_STORE);
+      const req = store.getAllKeys();
+      req.onsuccess = () => {
+        for (const id of req.result) {
+          if (!keep.has(id)) store.delete(id);
+        }
+      };
+      tx.oncomplete = () => db.close();
+    })
+    .catch(() => {});
+}
+
+function saveSampleSlots() {
+  try {
+    window.localStorage.setItem(SAMPLE_SLOTS_STORAGE_KEY, JSON.stringify(sampleSlots));
+  } catch (e) {
+    console.warn('Could not persist sample slots to localStorage.', e);
+  }
+}
+
+function loadSampleSet() {
+  try {
+    const raw = window.localStorage.getItem(SAMPLE_SLOTS_STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    if (stored && typeof stored === 'object') {
+      for (const family of GLYPH_FAMILIES) {
+        if (typeof stored[family.name] === 'string') sampleSlots[family.name] = stored[family.name];
+      }
+    }
+  } catch (e) {
+    console.warn('Stored sample slots ignored.', e);
+  }
+
+  openSampleDB()
+    .then((db) => {
+      const tx = db.transaction(SAMPLE_DB_STORE, 'readonly');
+      const req = tx.objectStore(SAMPLE_DB_STORE).getAll();
+      req.onsuccess = () => {
+        for (const record of req.result) {
+          decodeSampleData(record.data)
+            .then((buffer) => {
+              sampleLibrary.set(record.id, { id: record.id, name: record.name, buffer, reversed: null });
+            })
+            .catch(() => console.warn(`Cached sample ${record.name} could not be decoded.`));
+        }
+      };
+      tx.oncomplete = () => db.close();
+    })
+    .catch(() => {
+      // no IndexedDB: samples just don't survive a reload
+    });
+}
+
+// -------------------- master chain --------------------
+
+// voices → master (dry) ─┐
+//        → sends ─ reverb ┼─ limiter → destination
+//        → sends ─ delay ─┘  (delay feeds back through a lowpass)
+function buildFxChain(ctx) {
+  const master = ctx.createGain();
+  master.gain.value = MASTER_LEVEL;
+
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.connect(ctx.destination);
+  master.connect(limiter);
+
+  const convolver = ctx.createConvolver();
+  const reverbReturn = ctx.createGain();
+  convolver.connect(reverbReturn);
+  reverbReturn.connect(limiter);
+
+  const delay = ctx.createDelay(FX_MAX_DELAY_S);
+  const feedbackFilter = ctx.createBiquadFilter();
+  const feedback = ctx.createGain();
+  const delayReturn = ctx.createGain();
+  feedbackFilter.type = 'lowpass';
+  feedbackFilter.frequency.value = 3200;
+  delay.connect(feedbackFilter);
+  feedbackFilter.connect(feedback);
+  feedback.connect(delay);
+  delay.connect(delayReturn);
+  delayReturn.connect(limiter);
+
+  const sends = {};
+  for (const type of VOICE_TYPES) {
+    sends[type] = { reverb: ctx.createGain(), delay: ctx.createGain() };
+    sends[type].reverb.connect(convolver);
+    sends[type].delay.connect(delay);
+  }
+
+  const chain = {
+    ctx,
+    master,
+    output: limiter,
+    limiter,
+    convolver,
+    reverbReturn,
+    delay,
+    feedback,
+    delayReturn,
+    sends,
+    irSize: -1,
+    tempoKey: ''
+  };
+  applyFxMix(chain);
+  return chain;
+}
+
+function applyFxMix(chain) {
+  const t = chain.ctx.currentTime;
+  for (const type of VOICE_TYPES) {
+    chain.sends[type].reverb.gain.setTargetAtTime(fxMix.reverbSend[type] * MASTER_LEVEL, t, 0.02);
+    chain.sends[type].delay.gain.setTargetAtTime(fxMix.delaySend[type] * MASTER_LEVEL, t, 0.02);
+  }
+  chain.reverbReturn.gain.setTargetAtTime(fxMix.reverbReturn, t, 0.02);
+  chain.delayReturn.gain.setTargetAtTime(fxMix.delayReturn, t, 0.02);
+  chain.feedback.gain.setTargetAtTime(fxMix.delayFeedback, t, 0.02);
+
+  // brickwall-ish when on, transparent when off
+  const limiter = chain.limiter;
+  limiter.threshold.setValueAtTime(fxMix.limiter ? -6 : 0, t);
+  limiter.knee.setValueAtTime(fxMix.limiter ? 0 : 40, t);
+  limiter.ratio.setValueAtTime(fxMix.limiter ? 20 : 1, t);
+  limiter.attack.setValueAtTime(0.003, t);
+  limiter.release.setValueAtTime(0.12, t);
+
+  if (chain.irSize !== fxMix.reverbSize) {
+    chain.irSize = fxMix.reverbSize;
+    chain.convolver.buffer = generateImpulseResponse(chain.ctx, FX_REVERB_SIZES[fxMix.reverbSize]);
+  }
+  syncFxTempo(chain);
+}
+
+// Delay time follows bpm and the chosen division.
+function syncFxTempo(chain) {
+  const key = `${bpm}:${fxMix.delayDivision}`;
+  if (chain.tempoKey === key) return;
+  chain.tempoKey = key;
+
+  const division = FX_DELAY_DIVISIONS.find((d) => d.label === fxMix.delayDivision);
+  const seconds = min(FX_MAX_DELAY_S, (60 / bpm) * division.beats);
+  chain.delay.delayTime.setTargetAtTime(seconds, chain.ctx.currentTime, 0.03);
+}
+
+// Decaying stereo noise, from a fixed seed so renders stay reproducible.
+function generateImpulseResponse(ctx, seconds) {
+  const rate = ctx.sampleRate;
+  const length = Math.max(1, Math.floor(seconds * rate));
+  const buffer = ctx.createBuffer(2, length, rate);
+  const rand = seededRandom(FX_IR_SEED);
+  for (let ch = 0; ch < 2; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < length; i++) {
+      const decay = Math.pow(1 - i / length, 3);
+      data[i] = (rand() * 2 - 1) * decay;
+    }
+  }
+  return buffer;
+}
+
+function cloneFxMix(mix) {
+  return { ...mix, reverbSend: { ...mix.reverbSend }, delaySend: { ...mix.delaySend } };
+}
+
+function setFxMix(next) {
+  fxMix = cloneFxMix(next);
+  if (fxChain) applyFxMix(fxChain);
+  if (fxPanel) fillFxPanel();
+}
+
+// Mix stored in a scene (optional).
+function applyStoredFx(record) {
+  if (record.fx != null) setFxMix({ ...FX_DEFAULTS, ...record.fx });
+}
+
+function validateFxMix(fx) {
+  if (typeof fx !== 'object' || Array.isArray(fx)) return 'fx is not an object';
+  const level = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+  for (const sendKey of ['reverbSend', 'delaySend']) {
+    const sends = fx[sendKey];
+    if (sends == null) continue;
+    if (typeof sends !== 'object' || VOICE_TYPES.some((type) => !level(sends[type]))) {
+      return `fx ${sendKey} is invalid`;
+    }
+  }
+  for (const k of ['reverbReturn', 'delayFeedback', 'delayReturn']) {
+    if (fx[k] != null && !level(fx[k])) return `fx ${k} is out of range`;
+  }
+  if (fx.delayFeedback != null && fx.delayFeedback > 0.95) return 'fx delayFeedback is too high';
+  if (fx.reverbSize != null && !(Number.isInteger(fx.reverbSize) && FX_REVERB_SIZES[fx.reverbSize])) {
+    return 'fx reverbSize is invalid';
+  }
+  if (fx.delayDivision != null && !FX_DELAY_DIVISIONS.some((d) => d.label === fx.delayDivision)) {
+    return `fx delay division "${fx.delayDivision}" is unknown`;
+  }
+  if (fx.limiter != null && typeof fx.limiter !== 'boolean') return 'fx limiter is not a boolean';
+  return null;
+}
+
+function fxPanelHasFocus() {
+  return panelHasFocus(fxPanel);
+}
+
+function toggleFxPanel() {
+  if (!fxPanel) fxPanel = buildFxPanel();
+  toggleSidePanel(fxPanel, fillFxPanel);
+}
+
+function buildFxPanel() {
+  const el = createPanel('right:14px;top:40px');
+
+  const fields = {};
+  const slider = (name, labelText, max = 100) => {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = 0;
+    input.max = max;
+    input.addEventListener('input', applyFxPanelFields);
+    fields[name] = panelRow(el, labelText, input);
+  };
+
+  for (const type of VOICE_TYPES) {
+    slider(`reverb-${type}`, `${type} → reverb`);
+    slider(`delay-${type}`, `${type} → delay`);
+  }
+  slider('reverbReturn', 'reverb return');
+  slider('delayReturn', 'delay return');
+  slider('delayFeedback', 'delay feedback', 95);
+  slider('reverbSize', 'reverb size', FX_REVERB_SIZES.length - 1);
+
+  const division = document.createElement('select');
+  for (const d of FX_DELAY_DIVISIONS) {
+    const option = document.createElement('option');
+    option.value = d.label;
+    option.textContent = d.label;
+    division.appendChild(option);
+  }
+  division.addEventListener('change', applyFxPanelFields);
+  fields.delayDivision = panelRow(el, 'delay time', division);
+
+  const limiter = document.createElement('input');
+  limiter.type = 'checkbox';
+  limiter.addEventListener('change', applyFxPanelFields);
+  fields.limiter = panelRow(el, 'limiter', limiter);
+
+  const reset = document.createElement('button');
+  reset.textContent = 'defaults';
+  reset.addEventListener('click', () => setFxMix(FX_DEFAULTS));
+  el.appendChild(reset);
+
+  el.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') el.style.display = 'none';
+  });
+
+  document.body.appendChild(el);
+  return { el, fields };
+}
+
+function fillFxPanel() {
+  const f = fxPanel.fields;
+  for (const type of VOICE_TYPES) {
+    f[`reverb-${type}`].value = Math.round(fxMix.reverbSend[type] * 100);
+    f[`delay-${type}`].value = Math.round(fxMix.delaySend[type] * 100);
+  }
+  f.reverbReturn.value = Math.round(fxMix.reverbReturn * 100);
+  f.delayReturn.value = Math.round(fxMix.delayReturn * 100);
+  f.delayFeedback.value = Math.round(fxMix.delayFeedback * 100);
+  f.reverbSize.value = fxMix.reverbSize;
+  f.delayDivision.value = fxMix.delayDivision;
+  f.limiter.checked = fxMix.limiter;
+}
+
+function applyFxPanelFields() {
+  const f = fxPanel.fields;
+  const level = (input) => constrain(parseInt(input.value, 10) / 100, 0, 1);
+  const next = cloneFxMix(fxMix);
+  for (const type of VOICE_TYPES) {
+    next.reverbSend[type] = level(f[`reverb-${type}`]);
+    next.delaySend[type] = level(f[`delay-${type}`]);
+  }
+  next.reverbReturn = level(f.reverbReturn);
+  next.delayReturn = level(f.delayReturn);
+  next.delayFeedback = min(0.95, level(f.delayFeedback));
+  next.reverbSize = constrain(parseInt(f.reverbSize.value, 10), 0, FX_REVERB_SIZES.length - 1);
+  next.delayDivision = f.delayDivision.value;
+  next.limiter = !!f.limiter.checked;
+
+  fxMix = next;
+  if (fxChain) applyFxMix(fxChain);
+}
+
+// -------------------- print & SVG export --------------------
+
+// The composition at rest (no pulse, ripple or chrome) as an SVG document of
+// w × h user units laid out like the canvas: background, one compound path
+// per glyph (or stroked links in connection mode), then the light/dark
+// overlay.
+function buildCompositionSVG(w, h) {
+  const palette = currentPalette();
+  const metrics = gridMetricsFor(w, h);
+  const n = (v) => +v.toFixed(2);
+
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${n(w)}" height="${n(h)}" viewBox="0 0 ${n(w)} ${n(h)}">`,
+    `<title>${escapeXml(`Clickfield · ${palette.name} · seed ${currentSeed}`)}</title>`,
+    `<rect width="${n(w)}" height="${n(h)}" fill="${palette.bg}"/>`
+  ];
+
+  for (const tile of tiles) {
+    const cx = metrics.x0 + (tile.col + 0.5) * metrics.cellW;
+    const cy = metrics.y0 + (tile.row + 0.5) * metrics.cellH;
+    const links = connectStyle > 0 ? tileLinks(tile) : [];
+    if (links.length > 0) {
+      const fillColor = getFillForTile(tile, palette);
+      const { cellW, cellH } = metrics;
+      out.push(...svgTileLinks(tile, links, cx, cy, cellW, cellH, fillColor, palette.bg));
+      continue;
+    }
+
+    const pen = svgGlyphPen();
+    const size = min(metrics.cellW, metrics.cellH) * 0.78 * shapeScale;
+    drawModuleGlyph(tile, size, pen);
+    if (pen.parts.length === 0) continue;
+
+    out.push(
+      `<path transform="translate(${n(cx)} ${n(cy)})" fill="${getFillForTile(tile, palette)}" ` +
+        `d="${pen.parts.join('')}"/>`
+    );
+  }
+
+  if (abs(brightnessOverlay) > 0.0001) {
+    const opacity = map(abs(brightnessOverlay), 0, 0.7, 0, 120) / 255;
+    const tint = brightnessOverlay > 0 ? '#ffffff' : '#000000';
+    out.push(`<rect width="${n(w)}" height="${n(h)}" fill="${tint}" fill-opacity="${+opacity.toFixed(3)}"/>`);
+  }
+
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+function exportSVG() {
+  const svg = buildCompositionSVG(width, height);
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${compositionFilenameBase(currentPalette())}.svg`);
+  showNotice('Exported SVG.');
+}
+
+// "A3 300 landscape" → { paper, dpi, landscape }; orientation defaults to
+// the canvas's. Returns a string describing the problem when invalid.
+function parsePrintSpec(input) {
+  const words = input.trim().split(/[\s,]+/).filter(Boolean);
+  const spec = { paper: 'A4', dpi: 300, landscape: width > height };
+  for (const word of words) {
+    const paper = Object.keys(PRINT_PAPERS).find((p) => p.toLowerCase() === word.toLowerCase());
+    if (paper) {
+      spec.paper = paper;
+    } else if (/^\d+(dpi)?$/i.test(word)) {
+      spec.dpi = parseInt(word, 10);
+    } else if (/^(landscape|portrait)$/i.test(word)) {
+      spec.landscape = word.toLowerCase() === 'landscape';
+    } else {
+      return `don't know "${word}"`;
+    }
+  }
+  if (spec.dpi < PRINT_MIN_DPI || spec.dpi > PRINT_MAX_DPI) {
+    return `DPI must be ${PRINT_MIN_DPI}–${PRINT_MAX_DPI}`;
+  }
+  return spec;
+}
+
+function promptPrintExport() {
+  const orientation = width > height ? 'landscape' : 'portrait';
+  const input = window.prompt
+    ? window.prompt('Print export: paper (A4 / A3 / Letter), DPI, orientation', `A4 300 ${orientation}`)
+    : null;
+  if (input == null) return;
+
+  const spec = parsePrintSpec(input);
+  if (typeof spec === 'string') {
+    showNotice(`Print export: ${spec}.`, 'error');
+    return;
+  }
+  exportPrintPNG(spec);
+}
+
+// Rasterizes the SVG at the page's pixel size, so print output is as sharp
+// as the vector export, and tags the PNG with its DPI.
+function exportPrintPNG(spec) {
+  let [wMm, hMm] = PRINT_PAPERS[spec.paper];
+  if (spec.landscape) [wMm, hMm] = [hMm, wMm];
+  const w = Math.round((wMm / 25.4) * spec.dpi);
+  const h = Math.round((hMm / 25.4) * spec.dpi);
+  if (w * h > PRINT_MAX_PIXELS) {
+    showNotice(`${spec.paper} at ${spec.dpi} DPI is too large to render here.`, 'error');
+    return;
+  }
+
+  const svgUrl = URL.createObjectURL(new Blob([buildCompositionSVG(w, h)], { type: 'image/svg+xml' }));
+  const img = new Image();
+  const fail = () => {
+    URL.revokeObjectURL(svgUrl);
+    showNotice(`Print export failed (${w}×${h} px may exceed this browser's canvas limit).`, 'error');
+  };
+  img.onerror = fail;
+  img.onload = () => {
+    const canvasEl = document.createElement('canvas');
+    canvasEl.width = w;
+    canvasEl.height = h;
+    const g = canvasEl.getContext('2d');
+    if (!g) {
+      fail();
+      return;
+    }
+    g.drawImage(img, 0, 0, w, h);
+    URL.revokeObjectURL(svgUrl);
+
+    canvasEl.toBlob((blob) => {
+      if (!blob) {
+        fail();
+        return;
+      }
+      blob
+        .arrayBuffer()
+        .then((data) => {
+          const tagged = setPngDpi(new Uint8Array(data), spec.dpi);
+          const name = `${compositionFilenameBase(currentPalette())}_${spec.paper}_${spec.dpi}dpi.png`;
+          downloadBlob(new Blob([tagged], { type: 'image/png' }), name);
+          showNotice(`Exported ${spec.paper} at ${spec.dpi} DPI (${w}×${h} px).`);
+        })
+        .catch(fail);
+    }, 'image/png');
+  };
+  img.src = svgUrl;
+}
+
+// Inserts a pHYs chunk after IHDR so layout / print apps pick up the DPI.
+function setPngDpi(png, dpi) {
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const ihdrEnd = 8 + 25; // signature + IHDR chunk
+  const out = new Uint8Array(png.length + chunk.length);
+  out.set(png.subarray(0, ihdrEnd), 0);
+  out.set(chunk, ihdrEnd);
+  out.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+}
+
+// -------------------- video capture --------------------
+
+function toggleVideoCapture() {
+  if (videoCapture) {
+    stopVideoCapture();
+    return;
+  }
+  if (typeof window === 'undefined' || !window.MediaRecorder) {
+    showNotice('Video recording is not supported in this browser.', 'error');
+    return;
+  }
+
+  const input = window.prompt
+    ? window.prompt('Record how many ripple cycles? (empty = until ^ again)', '4')
+    : '';
+  if (input == null) return;
+
+  let cycles = null;
+  if (input.trim() !== '') {
+    cycles = parseInt(input, 10);
+    if (!Number.isInteger(cycles) || cycles < 1 || cycles > VIDEO_MAX_CYCLES) {
+      showNotice(`Record cycles must be 1–${VIDEO_MAX_CYCLES}.`, 'error');
+      return;
+    }
+  }
+
+  ensureAudioRunning();
+  if (!audioCtx) {
+    showNotice('Video recording needs Web Audio.', 'error');
+    return;
+  }
+
+  videoCapture = {
+    phase: 'armed',
+    cyclesLeft: cycles,
+    startedAt: 0,
+    recorder: null,
+    chunks: [],
+    audioDest: null
+  };
+
+  if (cycles === null) {
+    startVideoCapture();
+  } else if (!isPlaying) {
+    // counted clips start on a cycle boundary, so get the ripple going
+    isPlaying = true;
+  }
+}
+
+function startVideoCapture() {
+  const canvasEl = drawingContext.canvas;
+  const audioDest = audioCtx.createMediaStreamDestination();
+  fxChain.output.connect(audioDest);
+
+  const stream = new MediaStream([
+    ...canvasEl.captureStream(VIDEO_FPS).getVideoTracks(),
+    ...audioDest.stream.getAudioTracks()
+  ]);
+  const mimeType = VIDEO_MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) || '';
+
+  let recorder;
+  try {
+    recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  } catch (e) {
+    fxChain.output.disconnect(audioDest);
+    videoCapture = null;
+    showNotice(`Could not start recording: ${e.message || e}`, 'error');
+    return;
+  }
+
+  const capture = videoCapture;
+  capture.recorder = recorder;
+  capture.audioDest = audioDest;
+  capture.phase = 'recording';
+  capture.startedAt = millis();
+
+  recorder.ondataavailable = (e) => {
+    if (e.data && e.data.size > 0) capture.chunks.push(e.data);
+  };
+  recorder.onstop = () => {
+    fxChain.output.disconnect(audioDest);
+    stream.getTracks().forEach((track) => track.stop());
+    const blob = new Blob(capture.chunks, { type: recorder.mimeType || 'video/webm' });
+    const name = `clickfield_${currentSeed}_${Date.now()}.webm`;
+    downloadBlob(blob, name);
+    showNotice(`Saved ${name}`);
+  };
+  recorder.start();
+}
+
+function stopVideoCapture() {
+  const capture = videoCapture;
+  videoCapture = null;
+  if (capture && capture.recorder && capture.recorder.state !== 'inactive') {
+    capture.recorder.stop();
+  } else {
+    showNotice('Recording cancelled');
+  }
+}
+
+// Called on every primary ripple cycle while armed / recording.
+function onVideoCaptureCycle() {
+  if (videoCapture.phase === 'armed') {
+    startVideoCapture();
+    return;
+  }
+  if (videoCapture.cyclesLeft === null) return;
+
+  videoCapture.cyclesLeft--;
+  if (videoCapture.cyclesLeft <= 0) stopVideoCapture();
+}
+
+function videoCaptureChromeLabel() {
+  if (!videoCapture) return '';
+  if (videoCapture.phase === 'armed') return '○ REC armed · starts next cycle';
+
+  const seconds = floor((millis() - videoCapture.startedAt) / 1000);
+  const elapsed = `${floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  const left =
+    videoCapture.cyclesLeft === null
+      ? ''
+      : ` · ${videoCapture.cyclesLeft} cycle${videoCapture.cyclesLeft === 1 ? '' : 's'} left`;
+  return `● REC ${elapsed}${left}`;
+}
+
+// -------------------- offline render --------------------
+
+function promptAudioRender() {
+  if (typeof window === 'undefined' || !window.prompt) return;
+  if (audioRenderBusy) {
+    showNotice('A render is already running.', 'error');
+    return;
+  }
+
+  const input = window.prompt('Render ripple cycles to WAV (cycles, bits 16 or 24):', '4, 16');
+  if (input == null) return;
+
+  const parts = input.split(/[\s,]+/).filter(Boolean).map((p) => parseInt(p, 10));
+  const cycles = parts[0];
+  const bits = parts.length > 1 ? parts[1] : 16;
+  if (!Number.isInteger(cycles) || cycles < 1 || cycles > RENDER_MAX_CYCLES) {
+    showNotice(`Render cycles must be 1–${RENDER_MAX_CYCLES}.`, 'error');
+    return;
+  }
+  if (!RENDER_BIT_DEPTHS.includes(bits)) {
+    showNotice('Render bit depth must be 16 or 24.', 'error');
+    return;
+  }
+  renderAudio(cycles, bits);
+}
+
+// Every trigger of `cycles` primary-emitter cycles, starting with all
+// waves at the top of their cycle: [{ time, tileIndex, emitter, amp }].
+// Depends only on the composition (grid, seed, emitters, tempo), so the
+// same piece always yields the same list.
+function buildRenderEvents(cycles) {
+  const primary = primaryEmitter();
+  if (!primary || primary.maxDist <= 0) return { events: [], duration: 0 };
+
+  const duration = (cycles * primary.cycleLength) / emitterRate(primary);
+  const events = [];
+  for (let e = 0; e < emitters.length; e++) {
+    const emitter = emitters[e];
+    if (emitter.maxDist <= 0) continue;
+
+    const clock = { clockTime: 0, clockPos: 0, clockRate: emitterRate(emitter) };
+    const crossings = rippleCrossings(
+      clock,
+      emitter.dists,
+      emitter.maxDist,
+      emitter.cycleLength,
+      emitter.direction,
+      -1e-6,
+      clock.clockRate * duration
+    );
+    for (const c of crossings) {
+      // the end of the last cycle is the start of the next one
+      if (c.time >= duration) continue;
+      events.push({ time: c.time, tileIndex: c.tileIndex, emitter: e, amp: emitter.threshold });
+    }
+  }
+
+  events.sort((a, b) => a.time - b.time || a.emitter - b.emitter || a.tileIndex - b.tileIndex);
+
+  // Mutes and trigger chances, drawn from the seed so renders repeat
+  const rand = seededRandom(currentSeed);
+  const audible = events.filter((ev) => {
+    const tile = tiles[ev.tileIndex];
+    return tileChanceAllows(tile, rand()) && !(tile.overrides && tile.overrides.mute);
+  });
+  return { events: audible, duration };
+}
+
+function renderAudio(cycles, bits) {
+  const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineCtx) {
+    showNotice('Offline audio rendering is not supported in this browser.', 'error');
+    return;
+  }
+
+  const { events, duration } = buildRenderEvents(cycles);
+  if (events.length === 0) {
+    showNotice('Nothing to render — the ripple has no triggers.', 'error');
+    return;
+  }
+
+  const length = Math.ceil((duration + RENDER_TAIL_S) * RENDER_SAMPLE_RATE);
+  const ctx = new OfflineCtx(2, length, RENDER_SAMPLE_RATE);
+  const chain = buildFxChain(ctx); // same master chain and mix as live
+
+  const target = { ctx, output: chain.master, sends: chain.sends, live: false };
+  for (const ev of events) {
+    playGrainForTile(tiles[ev.tileIndex], ev.amp, ev.time, target);
+  }
+
+  audioRenderBusy = true;
+  showNotice(`Rendering ${cycles} cycle${cycles === 1 ? '' : 's'} (${events.length} grains)…`);
+
+  ctx.startRendering().then(
+    (buffer) => {
+      audioRenderBusy = false;
+      const wav = encodeWav(buffer, bits);
+      const name = `clickfield_${currentSeed}_${cycles}cycles_${bits}bit.wav`;
+      downloadBlob(new Blob([wav], { type: 'audio/wav' }), name);
+      showNotice(`Saved ${name}`);
+    },
+    (err) => {
+      audioRenderBusy = false;
+      showNotice(`Render failed: ${err.message || err}`, 'error');
+    }
+  );
+}
+
+// AudioBuffer-like { numberOfChannels, length, sampleRate, getChannelData }
+// → interleaved little-endian PCM WAV (16 or 24 bit) as an ArrayBuffer.
+function encodeWav(buffer, bits) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytesPerSample = bits / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = frames * blockAlign;
+  const out = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(out);
+
+  const writeString = (offset, s) => {
+    for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i));
+  };
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);          // fmt chunk size
+  view.setUint16(20, 1, true);           // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bits, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const data = [];
+  for (let ch = 0; ch < channels; ch++) data.push(buffer.getChannelData(ch));
+
+  const full = Math.pow(2, bits - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const s = Math.round(Math.max(-1, Math.min(1, data[ch][i])) * full);
+      if (bits === 16) {
+        view.setInt16(offset, s, true);
+      } else {
+        view.setUint8(offset, s & 0xff);
+        view.setUint8(offset + 1, (s >> 8) & 0xff);
+        view.setUint8(offset + 2, (s >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return out;
+}
+
+// -------------------- MIDI out --------------------
+
+// Recording stand-in for hardware: ?midi=mock. Messages land in .log as
+// { data: [bytes], timestamp } with performance.now() timestamps.
+function createMockMidiOutput() {
+  return {
+    id: 'mock',
+    name: 'Mock MIDI out',
+    log: [],
+    send(data, timestamp) {
+      this.log.push({ data: Array.from(data), timestamp });
+    },
+    clear() {}
+  };
+}
+
+function midiMockRequested() {
+  return new URLSearchParams(window.location.search).get('midi') === 'mock';
+}
+
+function currentMidiOutput() {
+  return midiOutIndex >= 0 ? midiOutputs[midiOutIndex] || null : null;
+}
+
+// Runs `then` once MIDI ports can be listed (at once with ?midi=mock).
+function withMidiAccess(then) {
+  if (midiAccess || midiMockRequested()) {
+    then();
+    return;
+  }
+  if (!navigator.requestMIDIAccess) {
+    showNotice('Web MIDI is not available in this browser', 'error');
+    return;
+  }
+  navigator.requestMIDIAccess().then(
+    (access) => {
+      midiAccess = access;
+      midiAccess.onstatechange = () => {
+        refreshMidiOutputs();
+        refreshMidiInputs();
+      };
+      refreshMidiOutputs();
+      refreshMidiInputs();
+      then();
+    },
+    (err) => showNotice(`MIDI access refused: ${err.message || err}`, 'error')
+  );
+}
+
+function refreshMidiOutputs() {
+  const ports = [];
+  if (midiMockRequested()) {
+    if (!midiMockOutput) midiMockOutput = createMockMidiOutput();
+    ports.push(midiMockOutput);
+  }
+  if (midiAccess) {
+    midiAccess.outputs.forEach((port) => ports.push(port));
+  }
+
+  // keep the current port selected if it is still there
+  const current = currentMidiOutput();
+  midiOutputs = ports;
+  midiOutIndex = current ? ports.findIndex((p) => p.id === current.id) : -1;
+}
+
+function cycleMidiOutput() {
+  if (!midiAccess && !midiMockRequested()) {
+    withMidiAccess(cycleMidiOutput);
+    return;
+  }
+
+  refreshMidiOutputs();
+  if (midiOutputs.length === 0) {
+    showNotice('No MIDI outputs found', 'error');
+    return;
+  }
+
+  stopMidiOutput();
+  midiOutIndex = midiOutIndex + 1 < midiOutputs.length ? midiOutIndex + 1 : -1;
+
+  const port = currentMidiOutput();
+  if (port) {
+    startMidiOutput();
+    showNotice(`MIDI out → ${port.name}`);
+  } else {
+    showNotice('MIDI out off');
+  }
+}
+
+function toggleMidiMpe() {
+  stopMidiOutput();
+  midiMpe = !midiMpe;
+  if (currentMidiOutput()) startMidiOutput();
+  showNotice(midiMpe ? 'MIDI notes: MPE' : 'MIDI notes: channel per glyph type');
+}
+
+function startMidiOutput() {
+  const port = currentMidiOutput();
+  if (!port) return;
+
+  midiChannelFreeAt.fill(0);
+  midiNextChannel = 0;
+
+  if (midiMpe) {
+    // MPE configuration message: lower zone with all 15 member channels
+    sendMidiRPN(port, 0, 6, MIDI_MPE_MEMBER_CHANNELS);
+    for (let i = 0; i < MIDI_MPE_MEMBER_CHANNELS; i++) {
+      sendMidiRPN(port, 1 + i, 0, MIDI_PITCH_BEND_RANGE);
+    }
+  } else {
+    for (const type of VOICE_TYPES) {
+      sendMidiRPN(port, MIDI_MODULE_MAP[type].channel, 0, MIDI_PITCH_BEND_RANGE);
+    }
+  }
+
+  midiClockWasPlaying = false;
+  if (midiClockTimer === null) {
+    midiClockTimer = setInterval(midiClockTick, MIDI_TIMER_MS);
+  }
+}
+
+function stopMidiOutput() {
+  const port = currentMidiOutput();
+  if (midiClockTimer !== null) {
+    clearInterval(midiClockTimer);
+    midiClockTimer = null;
+  }
+  if (!port) return;
+
+  // drop anything booked ahead, then silence every channel
+  if (port.clear) port.clear();
+  if (midiClockWasPlaying) port.send([0xfc]);
+  midiClockWasPlaying = false;
+  for (let ch = 0; ch < 16; ch++) {
+    port.send([0xb0 | ch, 123, 0]); // all notes off
+  }
+}
+
+// Registered parameter (RPN msb 0, lsb `param`) = value, then null RPN.
+function sendMidiRPN(port, channel, param, value) {
+  const status = 0xb0 | channel;
+  port.send([status, 101, 0]);
+  port.send([status, 100, param]);
+  port.send([status, 6, value]);
+  port.send([status, 38, 0]);
+  port.send([status, 101, 127]);
+  port.send([status, 100, 127]);
+}
+
+// Clock out, 24 PPQN from bpm, with start / stop following the transport.
+function midiClockTick() {
+  const port = currentMidiOutput();
+  if (!port) return;
+
+  const now = performance.now();
+  if (isPlaying !== midiClockWasPlaying) {
+    midiClockWasPlaying = isPlaying;
+    port.send([isPlaying ? 0xfa : 0xfc], now);
+    midiClockNext = now;
+  }
+  if (!isPlaying) return;
+
+  const tickMs = 60000 / (bpm * MIDI_CLOCK_PPQN);
+  // after a stall (background tab), pick up from now instead of bursting
+  if (midiClockNext < now - MIDI_LOOKAHEAD_MS) midiClockNext = now;
+  while (midiClockNext < now + MIDI_LOOKAHEAD_MS) {
+    port.send([0xf8], midiClockNext);
+    midiClockNext += tickMs;
+  }
+}
+
+// Audio-clock time (as booked by the scheduler) → performance.now() ms.
+function midiTimestampFor(when) {
+  const now = performance.now();
+  if (when == null || !audioCtx) return now;
+  return now + max(0, when - audioCtx.currentTime) * 1000;
+}
+
+// Nearest note + 14-bit pitch bend for a frequency.
+function midiNoteForFreq(freq) {
+  const exact = 69 + 12 * Math.log2(freq / 440);
+  const note = constrain(Math.round(exact), 0, 127);
+  const bend = constrain((exact - note) / MIDI_PITCH_BEND_RANGE, -1, 1);
+  return { note, bend: constrain(Math.round(8192 + bend * 8191), 0, 16383) };
+}
+
+function midiVelocityForTile(tile, amp) {
+  // ripple strength sets the level, darker / accent colors push it a bit
+  return constrain(Math.round(40 + amp * 70 + tile.colorIndex * 6), 1, 127);
+}
+
+// Frequencies the built-in voice would play for this tile.
+function midiFreqsForTile(tile) {
+  const map = MIDI_MODULE_MAP[tileVoice(tile)] || MIDI_MODULE_MAP.circle;
+  const root = baseFreqForTile(tile, 0) * Math.pow(2, map.octave);
+  if (tileVoice(tile) === 'block') {
+    return [root, root * (5 / 4), root * (3 / 2)];
+  }
+  return [root];
+}
+
+function allocateMidiChannel(tile, start) {
+  if (!midiMpe) {
+    return (MIDI_MODULE_MAP[tileVoice(tile)] || MIDI_MODULE_MAP.circle).channel;
+  }
+
+  // MPE: next free member channel, else the one that frees up soonest
+  let best = -1;
+  for (let i = 0; i < MIDI_MPE_MEMBER_CHANNELS; i++) {
+    const ch = 1 + ((midiNextChannel + i) % MIDI_MPE_MEMBER_CHANNELS);
+    if (midiChannelFreeAt[ch] <= start) {
+      best = ch;
+      break;
+    }
+    if (best < 0 || midiChannelFreeAt[ch] < midiChannelFreeAt[best]) best = ch;
+  }
+  midiNextChannel = best % MIDI_MPE_MEMBER_CHANNELS;
+  return best;
+}
+
+function sendMidiForTile(tile, amp, when) {
+  const port = currentMidiOutput();
+  if (!port) return;
+
+  const map = MIDI_MODULE_MAP[tileVoice(tile)] || MIDI_MODULE_MAP.circle;
+  const start = midiTimestampFor(when);
+  const end = start + map.length * 1000;
+  const velocity = midiVelocityForTile(tile, amp);
+
+  const freqs = midiFreqsForTile(tile);
+  for (let i = 0; i < freqs.length; i++) {
+    const { note, bend } = midiNoteForFreq(freqs[i]);
+    const ch = allocateMidiChannel(tile, start);
+    midiChannelFreeAt[ch] = max(midiChannelFreeAt[ch], end);
+
+    // By glyph type a chord shares one channel, so only its root is bent
+    if (midiMpe || i === 0) {
+      port.send([0xe0 | ch, bend & 0x7f, bend >> 7], start);
+    }
+    port.send([0x90 | ch, note, velocity], start);
+    port.send([0x80 | ch, note, 0], end);
+  }
+}
+
+function midiChromeLabel() {
+  const port = currentMidiOutput();
+  let label = port ? ` · midi ${port.name}${midiMpe ? ' (mpe)' : ''}` : '';
+  if (midiInMode > 0) label += midiInMode === 2 ? ' · midi in + clock' : ' · midi in';
+  if (midiLearnTarget >= 0) label += ` · learn ${MIDI_CC_TARGETS[midiLearnTarget]}…`;
+  return label;
+}
 
-  osc1.connect(gain);
-  osc2.connect(gain);
-  connectVoiceToOutput(gain, tile);
+// -------------------- MIDI in --------------------
+
+// ?midi=mock input: receive([bytes]) feeds the handler like a real port.
+function createMockMidiInput() {
+  return {
+    id: 'mock',
+    name: 'Mock MIDI in',
+    receive(data) {
+      handleMidiMessage({ data: Uint8Array.from(data), timeStamp: performance.now() });
+    }
+  };
 }
 
-function playWoodBlockGrain(tile, amp = 1.0) {
-  const ctx = audioCtx;
-  if (!ctx) return;
+function refreshMidiInputs() {
+  for (const port of midiInputs) {
+    if (port.onmidimessage === handleMidiMessage) port.onmidimessage = null;
+  }
 
-  const now = ctx.currentTime;
-  const freq = baseFreqForTile(tile, 1) * 2; // higher, more percussive
+  const ports = [];
+  if (midiMockRequested()) ports.push(createMockMidiInput());
+  if (midiAccess) {
+    midiAccess.inputs.forEach((port) => {
+      port.onmidimessage = handleMidiMessage;
+      ports.push(port);
+    });
+  }
+  midiInputs = ports;
+}
 
-  const stateNorm =
-    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+function cycleMidiInput() {
+  withMidiAccess(() => {
+    refreshMidiInputs();
+    midiInMode = (midiInMode + 1) % 3;
+    midiClockTimes = [];
+    if (midiInMode === 0) midiLearnTarget = -1;
+
+    const names = midiInputs.map((p) => p.name).join(', ') || 'no inputs yet';
+    const labels = ['MIDI in off', `MIDI in: ${names}`, 'MIDI in: following clock'];
+    showNotice(labels[midiInMode]);
+  });
+}
 
-  const duration = lerp(0.04, 0.14, 1.0 - stateNorm);
-  const attack = 0.001;
-  const release = duration;
-  const totalDur = attack + release;
+function cycleMidiLearn() {
+  const step = () => {
+    midiLearnTarget =
+      midiLearnTarget + 1 < MIDI_CC_TARGETS.length ? midiLearnTarget + 1 : -1;
+    showNotice(
+      midiLearnTarget >= 0
+        ? `MIDI learn: move a control for ${MIDI_CC_TARGETS[midiLearnTarget]}`
+        : 'MIDI learn off'
+    );
+  };
 
-  if (!beginGrain(totalDur)) {
+  if (midiInMode === 0) {
+    // learning needs the input listening
+    withMidiAccess(() => {
+      refreshMidiInputs();
+      midiInMode = 1;
+      step();
+    });
     return;
   }
+  step();
+}
 
-  const osc = ctx.createOscillator();
-  const gain = ctx.createGain();
+function handleMidiMessage(event) {
+  if (midiInMode === 0) return;
+  const data = event.data;
+  const status = data[0];
 
-  osc.type = 'square';
-  // quick downward pitch sweep
-  osc.frequency.setValueAtTime(freq * 1.1, now);
-  osc.frequency.linearRampToValueAtTime(freq * 0.7, now + 0.04);
+  // system real-time: clock + transport
+  if (status >= 0xf8) {
+    if (midiInMode === 2) handleMidiRealtime(status, event.timeStamp || performance.now());
+    return;
+  }
 
-  let vel = 0.22;
-  if (tile.colorIndex === 2) vel *= 1.2;
-  if (tile.colorIndex === 1) vel *= 0.9;
-  vel *= lerp(0.7, 1.3, amp);
+  const type = status & 0xf0;
+  if (type === 0x90 && data[2] > 0) {
+    handleMidiNote(data[1], data[2]);
+  } else if (type === 0xb0) {
+    handleMidiCC(data[1], data[2]);
+  }
+}
 
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(vel, now + attack);
-  gain.gain.exponentialRampToValueAtTime(
-    0.0001,
-    now + attack + release
-  );
+function handleMidiRealtime(status, time) {
+  if (status === 0xf8) {
+    const last = midiClockTimes[midiClockTimes.length - 1];
+    if (last !== undefined && time - last > MIDI_CLOCK_GAP_MS) midiClockTimes = [];
+    midiClockTimes.push(time);
+    // average over one beat's worth of ticks
+    if (midiClockTimes.length > MIDI_CLOCK_PPQN + 1) midiClockTimes.shift();
+    if (midiClockTimes.length >= MIDI_CLOCK_PPQN / 4) {
+      const span = time - midiClockTimes[0];
+      const tickMs = span / (midiClockTimes.length - 1);
+      if (tickMs > 0) {
+        bpm = constrain(Math.round(60000 / (tickMs * MIDI_CLOCK_PPQN)), BPM_MIN, BPM_MAX);
+      }
+    }
+  } else if (status === 0xfa) {
+    // start: from the top of the cycle
+    ensureAudioRunning();
+    computeRippleDistances();
+    isPlaying = true;
+  } else if (status === 0xfb) {
+    ensureAudioRunning();
+    isPlaying = true;
+  } else if (status === 0xfc) {
+    isPlaying = false;
+  }
+}
 
-  osc.start(now);
-  osc.stop(now + totalDur + 0.05);
+// Notes walk the grid row by row from MIDI_NOTE_BASE (wrapping), move the
+// origin there and restart the wave from it.
+function handleMidiNote(note, velocity) {
+  if (tiles.length === 0) return;
+  const n = note - MIDI_NOTE_BASE;
+  const index = ((n % tiles.length) + tiles.length) % tiles.length;
+  const tile = findTileAtGridIndex(index % gridCols, floor(index / gridCols));
+  if (!tile) return;
 
-  osc.connect(gain);
-  connectVoiceToOutput(gain, tile);
+  originTile = tile;
+  computeRippleDistances();
+  triggerTileAnimation(tile, true);
+  triggerGrainFromTile(tile, velocity / 127);
+
+  // pads start the ripple unless an external clock owns the transport
+  if (!isPlaying && midiInMode !== 2) {
+    ensureAudioRunning();
+    isPlaying = true;
+  }
 }
 
-function playChordGrain(tile, amp = 1.0) {
-  const ctx = audioCtx;
-  if (!ctx) return;
+function handleMidiCC(cc, value) {
+  if (midiLearnTarget >= 0) {
+    const target = MIDI_CC_TARGETS[midiLearnTarget];
+    for (const bound of Object.keys(midiCCBindings)) {
+      if (midiCCBindings[bound] === target) delete midiCCBindings[bound];
+    }
+    midiCCBindings[cc] = target;
+    midiLearnTarget = -1;
+    saveMidiBindings();
+    showNotice(`CC ${cc} → ${target}`);
+  }
 
-  const now = ctx.currentTime;
-  const root = baseFreqForTile(tile, 0);
-  const third = root * (5 / 4); // major-ish 3rd
-  const fifth = root * (3 / 2); // 5th
+  const target = midiCCBindings[cc];
+  if (target) applyMidiCC(target, value / 127);
+}
 
-  const stateNorm =
-    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+function applyMidiCC(target, t) {
+  switch (target) {
+    case 'bpm':
+      bpm = Math.round(lerp(BPM_MIN, BPM_MAX, t));
+      break;
+    case 'scale':
+      shapeScale = lerp(0.7, 1.4, t);
+      break;
+    case 'light':
+      brightnessOverlay = lerp(-0.7, 0.7, t);
+      break;
+    case 'palette':
+      paletteIndex = min(paletteDefs.length - 1, floor(t * paletteDefs.length));
+      break;
+  }
+}
 
-  const duration = lerp(0.18, 0.6, stateNorm);
-  const attack = 0.006;
-  const release = duration;
-  const totalDur = attack + release;
+function saveMidiBindings() {
+  try {
+    window.localStorage.setItem(MIDI_CC_STORAGE_KEY, JSON.stringify(midiCCBindings));
+  } catch (e) {
+    console.warn('Could not persist MIDI bindings to localStorage.', e);
+  }
+}
 
-  if (!beginGrain(totalDur)) {
+function loadMidiBindings() {
+  let raw = null;
+  try {
+    raw = window.localStorage.getItem(MIDI_CC_STORAGE_KEY);
+  } catch (e) {
     return;
   }
+  if (!raw) return;
 
-  const osc1 = ctx.createOscillator();
-  const osc2 = ctx.createOscillator();
-  const osc3 = ctx.createOscillator();
-  const gain = ctx.createGain();
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch (e) {
+    console.warn('Stored MIDI bindings are not valid JSON; ignoring.');
+    return;
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return;
 
-  osc1.type = 'triangle';
-  osc2.type = 'triangle';
-  osc3.type = 'triangle';
-  osc1.frequency.value = root;
-  osc2.frequency.value = third;
-  osc3.frequency.value = fifth;
+  const bindings = {};
+  for (const cc of Object.keys(stored)) {
+    const n = Number(cc);
+    if (Number.isInteger(n) && n >= 0 && n <= 127 && MIDI_CC_TARGETS.includes(stored[cc])) {
+      bindings[n] = stored[cc];
+    }
+  }
+  midiCCBindings = bindings;
+}
 
-  let vel = 0.16;
-  if (tile.colorIndex === 2) vel *= 1.3;
-  if (tile.colorIndex === 1) vel *= 0.85;
-  vel *= lerp(0.7, 1.3, amp);
+// -------------------- URL state --------------------
 
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(vel, now + attack);
-  gain.gain.exponentialRampToValueAtTime(
-    0.0001,
-    now + attack + release
-  );
+// Hash layout: #v=2&s=<seed>&g=<cols>x<rows>&p=<palette>&o=<col>,<row>
+//              &e=<emitters>&w=<geometry>&b=<bpm>&r=<rate>&c=<cycleBeats>
+//              &z=<shapeScale>&l=<brightness>&t=<tiles>
+// Emitters are "col,row,speed,width,threshold,direction" joined by "~".
+// Tiles are three bytes each (glyph family id, state, colorIndex), row-major,
+// base64url-encoded. v1 used two (family, state << 2 | colorIndex), which
+// capped colorIndex at 4 fill slots; those links still decode.
 
-  osc1.start(now);
-  osc2.start(now);
-  osc3.start(now);
-  osc1.stop(now + totalDur + 0.05);
-  osc2.stop(now + totalDur + 0.05);
-  osc3.stop(now + totalDur + 0.05);
+function initURLState() {
+  if (typeof window === 'undefined') return;
 
-  osc1.connect(gain);
-  osc2.connect(gain);
-  osc3.connect(gain);
-  connectVoiceToOutput(gain, tile);
+  const hash = window.location.hash ? window.location.hash.slice(1) : '';
+  if (hash) {
+    applyURLStateHash(hash);
+  }
+  urlStateLast = hash;
+
+  window.addEventListener('hashchange', () => {
+    const next = window.location.hash.slice(1);
+    if (next && next !== urlStateLast) {
+      applyURLStateHash(next);
+      urlStateLast = next;
+    }
+  });
 }
 
-function playMetallicGrain(tile, amp = 1.0) {
-  const ctx = audioCtx;
-  if (!ctx) return;
+function encodeURLState() {
+  const bytes = new Uint8Array(tiles.length * 3);
+  for (let i = 0; i < tiles.length; i++) {
+    const t = tiles[i];
+    bytes[i * 3] = glyphFamily(t.moduleType).id;
+    bytes[i * 3 + 1] = t.state;
+    bytes[i * 3 + 2] = t.colorIndex;
+  }
 
-  const now = ctx.currentTime;
-  const base = baseFreqForTile(tile, 0);
+  const origin = originTile ? `${originTile.col},${originTile.row}` : '';
+  return [
+    `v=${URL_STATE_VERSION}`,
+    `s=${currentSeed}`,
+    `g=${gridCols}x${gridRows}`,
+    `p=${paletteIndex}`,
+    `k=${encodePaletteParam()}`,
+    `o=${origin}`,
+    `e=${encodeEmittersParam()}`,
+    `w=${rippleGeometry}`,
+    `b=${bpm}`,
+    `r=${rippleRateIndex}`,
+    `c=${rippleCycleBeats}`,
+    `z=${shapeScale.toFixed(2)}`,
+    `l=${brightnessOverlay.toFixed(1)}`,
+    `u=${encodeTuningParam()}`,
+    `f=${+rootFreq.toFixed(3)}`,
+    `m=${pitchMapping}:${latticeOctaves}`,
+    `n=${CONNECT_STYLES[connectStyle]}:${connectRouting ? 1 : 0}`,
+    `x=${encodeOverridesParam()}`,
+    `t=${bytesToBase64Url(bytes)}`
+  ].join('&');
+}
 
-  const stateNorm =
-    tile.stateCount > 1 ? tile.state / (tile.stateCount - 1) : 0.0;
+// Returns a reason the hash can't be used, or null once it has been applied.
+function applyURLStateHash(hash) {
+  const params = new URLSearchParams(hash);
+  const version = parseInt(params.get('v'), 10);
+  if (version !== 1 && version !== URL_STATE_VERSION) {
+    return reportURLStateError(`unsupported version "${params.get('v')}"`);
+  }
 
-  const duration = lerp(0.18, 0.7, amp);
-  const attack = 0.003;
-  const release = duration;
-  const totalDur = attack + release;
+  const seed = parseInt(params.get('s'), 10);
+  if (Number.isNaN(seed)) return reportURLStateError('missing seed');
 
-  if (!beginGrain(totalDur)) {
-    return;
+  const grid = /^(\d+)x(\d+)$/.exec(params.get('g') || '');
+  if (!grid) return reportURLStateError('missing grid size');
+  const cols = parseInt(grid[1], 10);
+  const rows = parseInt(grid[2], 10);
+  if (!isValidGridSize(cols, rows)) {
+    return reportURLStateError(`grid ${cols}×${rows} is out of range`);
   }
 
-  const osc = ctx.createOscillator();
-  const modOsc = ctx.createOscillator();
-  const modGain = ctx.createGain();
-  const gain = ctx.createGain();
+  const stride = version === 1 ? 2 : 3;
+  const bytes = base64UrlToBytes(params.get('t') || '');
+  if (!bytes || bytes.length !== cols * rows * stride) {
+    return reportURLStateError('tile data is missing or truncated');
+  }
 
-  osc.type = 'sine';
-  modOsc.type = 'sine';
-  osc.frequency.value = base;
+  const snaps = [];
+  for (let i = 0; i < cols * rows; i++) {
+    const at = i * stride;
+    const family = GLYPH_FAMILY_BY_ID.get(bytes[at]);
+    if (!family) return reportURLStateError(`unknown glyph family ${bytes[at]}`);
+    const moduleType = family.name;
+    const state = version === 1 ? bytes[at + 1] >> 2 : bytes[at + 1];
+    const colorIndex = version === 1 ? bytes[at + 1] & 3 : bytes[at + 2];
+    snaps.push({ moduleType, state, colorIndex });
+  }
+  const overrideList = decodeOverridesParam(params.get('x') || '');
+  if (!overrideList) return reportURLStateError('tile overrides are malformed');
+  for (const { index, overrides } of overrideList) {
+    if (index >= snaps.length) return reportURLStateError('tile override is outside the grid');
+    snaps[index].overrides = overrides;
+  }
+  const tileError = validateTileList(snaps, cols, rows);
+  if (tileError) return reportURLStateError(tileError);
 
-  const modDepth = base * 0.3;
-  modGain.gain.value = modDepth;
-  modOsc.frequency.value = base * 2.5;
+  setGridDimensions(cols, rows);
+  currentSeed = seed;
+  buildTilesFromSeed();
+  for (let i = 0; i < tiles.length; i++) {
+    const tile = tiles[i];
+    const snap = snaps[tile.row * cols + tile.col];
+    tile.moduleType = snap.moduleType;
+    tile.stateCount = moduleStateCount(tile.moduleType);
+    tile.state = snap.state;
+    tile.colorIndex = snap.colorIndex;
+    tile.overrides = cleanTileOverrides(snap.overrides);
+  }
 
-  // mod oscillator -> gain -> osc.frequency (FM)
-  modOsc.connect(modGain);
-  modGain.connect(osc.frequency);
+  const sharedParam = params.get('k') || '';
+  const shared = decodePaletteParam(sharedParam);
+  if (sharedParam && !shared) {
+    showNotice('Shared palette in the link is malformed; ignored.', 'error');
+  }
+  const p = parseInt(params.get('p'), 10);
+  if (shared) {
+    paletteIndex = registerPalette(shared);
+  } else if (p >= 0 && p < paletteDefs.length) {
+    paletteIndex = p;
+  }
 
-  let vel = 0.14;
-  if (tile.colorIndex === 2) vel *= 1.4;
-  if (tile.colorIndex === 1) vel *= 0.9;
-  vel *= lerp(0.7, 1.3, amp);
-  vel *= lerp(0.8, 1.2, stateNorm);
+  const geometry = params.get('w');
+  if (RIPPLE_GEOMETRIES.includes(geometry)) rippleGeometry = geometry;
 
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(vel, now + attack);
-  gain.gain.exponentialRampToValueAtTime(
-    0.0001,
-    now + attack + release
-  );
+  const [style, routing] = (params.get('n') || '').split(':');
+  const connectRecord = { connect: style ? { style, routing: routing === '1' } : null };
+  if (!validateStoredConnect(connectRecord)) applyStoredConnect(connectRecord);
 
-  osc.start(now);
-  modOsc.start(now);
-  osc.stop(now + totalDur + 0.05);
-  modOsc.stop(now + totalDur + 0.05);
+  const emitterList = decodeEmittersParam(params.get('e') || '');
+  const origin = (params.get('o') || '').split(',').map((v) => parseInt(v, 10));
+  if (emitterList && !validateEmitterList(emitterList, cols, rows)) {
+    restoreEmitters(emitterList, cols, rows);
+  } else {
+    if (origin.length === 2) {
+      originTile = findTileAtGridIndex(origin[0], origin[1]) || originTile;
+    }
+    computeRippleDistances();
+  }
 
-  osc.connect(gain);
-  connectVoiceToOutput(gain, tile);
+  const b = parseInt(params.get('b'), 10);
+  if (!Number.isNaN(b)) bpm = constrain(b, BPM_MIN, BPM_MAX);
+
+  const r = parseInt(params.get('r'), 10);
+  if (r >= 0 && r < RIPPLE_RATES.length) setRippleRate(r);
+
+  const c = parseInt(params.get('c'), 10);
+  if (!Number.isNaN(c)) rippleCycleBeats = constrain(c, MIN_CYCLE_BEATS, MAX_CYCLE_BEATS);
+
+  const z = parseFloat(params.get('z'));
+  if (!Number.isNaN(z)) shapeScale = constrain(z, 0.7, 1.4);
+
+  const l = parseFloat(params.get('l'));
+  if (!Number.isNaN(l)) brightnessOverlay = constrain(l, -0.7, 0.7);
+
+  const storedTuning = decodeTuningParam(params.get('u') || '');
+  const f = parseFloat(params.get('f'));
+  const [mapping, octaves] = (params.get('m') || '').split(':');
+  const tuningRecord = {
+    tuning: storedTuning,
+    rootFreq: Number.isNaN(f) ? null : f,
+    pitchMap: mapping ? { mapping, octaves: parseInt(octaves, 10) } : null
+  };
+  if (!validateStoredTuning(tuningRecord)) applyStoredTuning(tuningRecord);
+
+  return null;
 }
 
-function testBeep() {
-  ensureAudioRunning();
-  if (!audioCtx) return;
+// Preset id, or "~" + base64url JSON for imported scales / keyboard maps.
+function encodeTuningParam() {
+  if (tuning.id !== 'custom' && !tuning.keyboard) return tuning.id;
+  const json = JSON.stringify(serializeTuning());
+  return `~${bytesToBase64Url(new TextEncoder().encode(json))}`;
+}
 
-  const ctx = audioCtx;
-  const now = ctx.currentTime;
+function decodeTuningParam(value) {
+  if (!value) return null;
+  if (!value.startsWith('~')) return { id: value };
+  try {
+    return JSON.parse(new TextDecoder().decode(base64UrlToBytes(value.slice(1))));
+  } catch (e) {
+    return null;
+  }
+}
 
-  const osc = ctx.createOscillator();
-  const gain = ctx.createGain();
+// "index,ratio,octave,voice,mute,chance[,sample]" per overridden tile
+// (row-major index, empty = derived), joined by "~".
+function encodeOverridesParam() {
+  const out = [];
+  for (const t of tiles) {
+    const o = t.overrides;
+    if (!o) continue;
+    out.push(
+      [t.row * gridCols + t.col, o.ratio || '', o.octave, o.voice || '', o.mute ? 1 : 0, +o.chance.toFixed(2)]
+        .concat(o.sample ? [o.sample] : [])
+        .join(',')
+    );
+  }
+  return out.join('~');
+}
 
-  osc.type = 'sine';
-  osc.frequency.value = 440;
+// → [{ index, overrides }] or null if malformed (range checks are left to
+// validateTileList()).
+function decodeOverridesParam(value) {
+  if (!value) return [];
+  const list = [];
+  for (const item of value.split('~')) {
+    const f = item.split(',');
+    if (f.length !== 6 && f.length !== 7) return null;
+    const index = parseInt(f[0], 10);
+    if (!Number.isInteger(index) || index < 0) return null;
+    list.push({
+      index,
+      overrides: {
+        ratio: f[1] || null,
+        octave: parseInt(f[2], 10),
+        voice: f[3] || null,
+        mute: f[4] === '1',
+        chance: parseFloat(f[5]),
+        sample: f[6] || null
+      }
+    });
+  }
+  return list;
+}
 
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(0.3, now + 0.01);
-  gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.25);
+function encodeEmittersParam() {
+  return emitters
+    .map((e) =>
+      [
+        e.col,
+        e.row,
+        +e.speed.toFixed(3),
+        +e.width.toFixed(2),
+        e.threshold,
+        e.direction
+      ].join(',')
+    )
+    .join('~');
+}
 
-  osc.connect(gain);
-  gain.connect(masterGain);
+function decodeEmittersParam(value) {
+  if (!value) return null;
+  return value.split('~').map((part) => {
+    const [col, row, speed, w, threshold, direction] = part.split(',').map(Number);
+    return { col, row, speed, width: w, threshold, direction };
+  });
+}
 
-  osc.start(now);
-  osc.stop(now + 0.3);
+function reportURLStateError(reason) {
+  showNotice(`Ignored link state: ${reason}.`, 'error');
+  return reason;
+}
+
+function syncURLState() {
+  if (typeof window === 'undefined' || !window.history) return;
+  if (frameCount % 10 !== 0) return;
+
+  const hash = encodeURLState();
+  if (hash === urlStateLast) {
+    urlStatePending = null;
+    return;
+  }
+
+  const now = millis();
+  if (!urlStatePending || urlStatePending.hash !== hash) {
+    urlStatePending = { hash, since: now };
+    return;
+  }
+  if (now - urlStatePending.since < URL_STATE_DEBOUNCE_MS) return;
+
+  window.history.replaceState(null, '', `#${hash}`);
+  urlStateLast = hash;
+  urlStatePending = null;
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(str) {
+  try {
+    const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(b64 + '==='.slice((b64.length + 3) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch (e) {
+    return null;
+  }
 }
 
 // -------------------- utils --------------------
 
+// Small deterministic PRNG (mulberry32) for seeded structure that must not
+// disturb p5's global random() sequence.
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function lerpHexColor(a, b, t) {
+  const c = lerpColor(color(a), color(b), t);
+  const toHex = (v) => round(v).toString(16).padStart(2, '0');
+  return `#${toHex(red(c))}${toHex(green(c))}${toHex(blue(c))}`;
+}
+
+function getGridSizeFromURL() {
+  if (typeof window === 'undefined') return null;
+  try {
+    const url = new URL(window.location.href);
+    const cols = parseInt(url.searchParams.get('cols'), 10);
+    const rows = parseInt(url.searchParams.get('rows'), 10);
+    if (Number.isNaN(cols) && Number.isNaN(rows)) return null;
+    return {
+      cols: Number.isNaN(cols) ? DEFAULT_GRID_COLS : cols,
+      rows: Number.isNaN(rows) ? DEFAULT_GRID_ROWS : rows
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
 function getSeedFromURL() {
   if (typeof window === 'undefined') return null;
   try {
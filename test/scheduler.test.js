@@ -0,0 +1,155 @@
+// Look-ahead scheduler, driven headless: sketch.js is evaluated in a VM
+// context holding only the p5 math helpers the scheduler uses, and
+// schedulerTick() is stepped against a fake audio clock. Every booked grain
+// is recorded instead of played.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'sketch.js'), 'utf8');
+const TICK_S = 0.025; // SCHEDULER_INTERVAL_MS
+
+// At bpm 60, 2 beats per cycle and cycleLength 4 the wave moves 2 units/s,
+// so a full cycle takes 2 s and tiles at distances 0..3 are 0.5 s apart.
+function makeSketch({ direction = 1 } = {}) {
+  const ctx = vm.createContext({ Math, console, min: Math.min, max: Math.max });
+  vm.runInContext(SOURCE, ctx, { filename: 'sketch.js' });
+
+  const booked = [];
+  ctx.handleRippleOnTile = (tile, amp, when) => booked.push({ tile: tile.id, when });
+
+  const audio = { state: 'running', currentTime: 0 };
+  ctx.__setup = { audio, direction };
+  vm.runInContext(
+    `
+    isPlaying = true;
+    audioCtx = __setup.audio;
+    bpm = 60;
+    rippleSpeed = 1;
+    rippleCycleBeats = 2;
+    clockRunning = false;
+    scheduledUntil = 0;
+    tiles = [0, 1, 2, 3].map((id) => ({ id }));
+    emitters = [{
+      pos: 0,
+      dists: [0, 1, 2, 3],
+      maxDist: 3,
+      cycleLength: 4,
+      direction: __setup.direction,
+      speed: 1,
+      threshold: 0.7
+    }];
+    `,
+    ctx
+  );
+
+  return {
+    booked,
+    run: (code) => vm.runInContext(code, ctx),
+    // Tick at every scheduler interval from..to (inclusive), like setInterval
+    tickThrough(from, to) {
+      const n = Math.round((to - from) / TICK_S);
+      for (let i = 0; i <= n; i++) {
+        audio.currentTime = from + i * TICK_S;
+        ctx.schedulerTick();
+      }
+    },
+    tickAt(time) {
+      audio.currentTime = time;
+      ctx.schedulerTick();
+    }
+  };
+}
+
+function assertBooked(actual, expected) {
+  assert.strictEqual(
+    actual.length,
+    expected.length,
+    `booked ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`
+  );
+  for (let i = 0; i < expected.length; i++) {
+    assert.strictEqual(actual[i].tile, expected[i].tile, `grain ${i} tile`);
+    assert.ok(
+      Math.abs(actual[i].when - expected[i].when) < 1e-9,
+      `grain ${i} (tile ${expected[i].tile}) at ${actual[i].when}, expected ${expected[i].when}`
+    );
+  }
+}
+
+test('outward cycle books each tile when the wave reaches its distance', () => {
+  const sketch = makeSketch();
+  sketch.tickThrough(0, 2.6);
+  assertBooked(sketch.booked, [
+    { tile: 0, when: 0 },
+    { tile: 1, when: 0.5 },
+    { tile: 2, when: 1 },
+    { tile: 3, when: 1.5 },
+    { tile: 0, when: 2 },
+    { tile: 1, when: 2.5 }
+  ]);
+});
+
+test('inward cycle books tiles from the rim towards the emitter', () => {
+  const sketch = makeSketch({ direction: -1 });
+  sketch.tickThrough(0, 2.6);
+  assertBooked(sketch.booked, [
+    { tile: 3, when: 0 },
+    { tile: 2, when: 0.5 },
+    { tile: 1, when: 1 },
+    { tile: 0, when: 1.5 },
+    { tile: 3, when: 2 },
+    { tile: 2, when: 2.5 }
+  ]);
+});
+
+test('a rate change mid-cycle re-anchors at the end of the booked window', () => {
+  const sketch = makeSketch();
+  sketch.tickThrough(0, 1);
+  // Booked up to 1.12 s (pos 2.24) at 2 units/s; from there on 4 units/s
+  sketch.run('bpm = 120;');
+  sketch.tickThrough(1 + TICK_S, 2);
+  assertBooked(sketch.booked, [
+    { tile: 0, when: 0 },
+    { tile: 1, when: 0.5 },
+    { tile: 2, when: 1 },
+    { tile: 3, when: 1.12 + 0.76 / 4 },
+    { tile: 0, when: 1.12 + 1.76 / 4 },
+    { tile: 1, when: 1.12 + 2.76 / 4 },
+    { tile: 2, when: 1.12 + 3.76 / 4 } // inside the last look-ahead (2.12 s)
+  ]);
+});
+
+test('restartEmitterClocks restarts every wave after the booked window', () => {
+  const sketch = makeSketch();
+  sketch.tickThrough(0, 0.7);
+  // Booked up to 0.82 s, so the restarted wave starts there, not at 0.7 s
+  sketch.run('restartEmitterClocks();');
+  sketch.tickThrough(0.7 + TICK_S, 2);
+  assertBooked(sketch.booked, [
+    { tile: 0, when: 0 },
+    { tile: 1, when: 0.5 },
+    { tile: 0, when: 0.82 },
+    { tile: 1, when: 1.32 },
+    { tile: 2, when: 1.82 }
+  ]);
+});
+
+test('crossings found up to 0.25 s late fire now, later ones are skipped', () => {
+  const late = makeSketch();
+  late.tickAt(0);
+  late.tickAt(0.7); // tile 1 was due at 0.5 s: 0.2 s late
+  assertBooked(late.booked, [
+    { tile: 0, when: 0 },
+    { tile: 1, when: 0.7 }
+  ]);
+
+  const stalled = makeSketch();
+  stalled.tickAt(0);
+  stalled.tickAt(1); // tile 1 is 0.5 s late and dropped; tile 2 is on time
+  assertBooked(stalled.booked, [
+    { tile: 0, when: 0 },
+    { tile: 2, when: 1 }
+  ]);
+});